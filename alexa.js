@@ -3,6 +3,9 @@ const admin = require('firebase-admin');
 const express = require('express');
 const { ExpressAdapter } = require('ask-sdk-express-adapter');
 const getRawBody = require('raw-body');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
 
 // Initialize Firebase
 async function initFirebase() {
@@ -63,19 +66,154 @@ async function ensureFirebaseInitialized() {
   }
 }
 
+// STORAGE
+// Data functions read and write documents by slash-separated path through a storage
+// backend chosen with STORAGE_BACKEND: "firestore" (default), "memory", or "file"
+// (a JSON file at STORAGE_FILE). The local backends let the skill run with no
+// Firebase credentials or network, and refuse to start on Vercel or in production.
+// A merge write replaces the given top-level fields and keeps the others, on every backend.
+function createFirestoreStorage() {
+  return {
+    name: 'firestore',
+    async init() {
+      await ensureFirebaseInitialized();
+    },
+    async getDocument(docPath) {
+      const snap = await admin.firestore().doc(docPath).get();
+      return snap.exists ? snap.data() : null;
+    },
+    async setDocument(docPath, data, options = {}) {
+      const ref = admin.firestore().doc(docPath);
+      if (options.merge) {
+        await ref.set(data, { mergeFields: Object.keys(data) });
+      } else {
+        await ref.set(data);
+      }
+    },
+    serverTimestamp() {
+      return admin.firestore.FieldValue.serverTimestamp();
+    },
+    async verifyIdToken(token) {
+      return admin.auth().verifyIdToken(token);
+    }
+  };
+}
+
+function createLocalStorage(filePath = null) {
+  let documents = null;
+  
+  const load = () => {
+    if (documents) return;
+    documents = filePath && fs.existsSync(filePath)
+      ? JSON.parse(fs.readFileSync(filePath, 'utf8'))
+      : {};
+  };
+  
+  const save = () => {
+    if (filePath) {
+      fs.writeFileSync(filePath, JSON.stringify(documents, null, 2));
+    }
+  };
+  
+  const copy = value => JSON.parse(JSON.stringify(value));
+  
+  return {
+    name: filePath ? 'file' : 'memory',
+    async init() {
+      load();
+    },
+    async getDocument(docPath) {
+      load();
+      return documents[docPath] ? copy(documents[docPath]) : null;
+    },
+    async setDocument(docPath, data, options = {}) {
+      load();
+      documents[docPath] = options.merge ? { ...(documents[docPath] || {}), ...copy(data) } : copy(data);
+      save();
+    },
+    serverTimestamp() {
+      return new Date().toISOString();
+    },
+    // There is no identity provider offline. API tokens are "<uid>.<signature>", signed with
+    // LOCAL_AUTH_SECRET by createLocalAuthToken; without the secret every token is refused.
+    async verifyIdToken(token) {
+      const separator = token.lastIndexOf('.');
+      const uid = token.substring(0, separator);
+      const expected = separator > 0 ? createLocalAuthToken(uid) : null;
+      
+      if (!expected || expected.length !== token.length || !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(token))) {
+        throw new Error('Invalid local API token');
+      }
+      return { uid };
+    },
+    // Replace every stored document, used to seed or clear local data
+    reset(initialDocuments = {}) {
+      documents = copy(initialDocuments);
+      save();
+    }
+  };
+}
+
+// Bearer token accepted by the local backends for the given uid
+function createLocalAuthToken(uid) {
+  const secret = process.env.LOCAL_AUTH_SECRET;
+  if (!secret) return null;
+  
+  const signature = crypto.createHmac('sha256', secret).update(uid).digest('hex');
+  return `${uid}.${signature}`;
+}
+
+let storageBackend = null;
+async function getStorage() {
+  if (!storageBackend) {
+    const backend = (process.env.STORAGE_BACKEND || 'firestore').toLowerCase();
+    
+    if (backend !== 'firestore' && (process.env.VERCEL || process.env.NODE_ENV === 'production')) {
+      throw new Error(`The ${backend} storage backend is for local testing and can't be used in production.`);
+    }
+    
+    if (backend === 'firestore') {
+      storageBackend = createFirestoreStorage();
+    } else if (backend === 'memory') {
+      storageBackend = createLocalStorage();
+    } else if (backend === 'file') {
+      storageBackend = createLocalStorage(process.env.STORAGE_FILE || path.join(process.cwd(), 'attendance-data.json'));
+    } else {
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}". Use firestore, memory or file.`);
+    }
+    console.log(`Using ${storageBackend.name} storage backend`);
+  }
+  
+  await storageBackend.init();
+  return storageBackend;
+}
+
 // UTILITY FUNCTIONS
-function getFormattedDate(date = new Date()) {
+// Format a date as YYYY-MM-DD, in the given IANA time zone when one is known
+function getFormattedDate(date = new Date(), timeZone = null) {
   const d = new Date(date);
+  
+  if (timeZone) {
+    try {
+      const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+      }).formatToParts(d);
+      const part = type => parts.find(p => p.type === type).value;
+      return `${part('year')}-${part('month')}-${part('day')}`;
+    } catch (error) {
+      console.error(`Invalid time zone ${timeZone}, using host time:`, error);
+    }
+  }
+  
   const year = d.getFullYear();
   const month = String(d.getMonth() + 1).padStart(2, '0');
   const day = String(d.getDate()).padStart(2, '0');
   return `${year}-${month}-${day}`;
 }
 
-function getLocalDate() {
-  return new Date();
-}
-
 function generateSessionCode(sessionName) {
   const base = sessionName.toLowerCase().replace(/[^a-z0-9]/g, '').substring(0, 8);
   const random = Math.random().toString(36).substring(2, 6);
@@ -84,22 +222,199 @@ function generateSessionCode(sessionName) {
 
 function formatAlexaDate(dateStr) {
   try {
-    const date = new Date(dateStr);
+    const date = new Date(isSpecificDate(dateStr) ? `${dateStr}T00:00:00Z` : dateStr);
     return date.toLocaleDateString('en-US', { 
       year: 'numeric', 
       month: 'long', 
-      day: 'numeric' 
+      day: 'numeric',
+      timeZone: 'UTC'
     });
   } catch (error) {
     return dateStr;
   }
 }
 
-function getYearMonthFromDate(dateStr = null) {
-  const date = dateStr ? new Date(dateStr) : new Date();
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  return `${year}-${month}`;
+function getYearMonthFromDate(dateStr = null, timeZone = null) {
+  if (dateStr && /^\d{4}-\d{2}/.test(dateStr)) {
+    return dateStr.substring(0, 7);
+  }
+  return getFormattedDate(new Date(), timeZone).substring(0, 7);
+}
+
+// Day of week (0 = Sunday) for a YYYY-MM-DD string, independent of the host timezone
+function getDayOfWeek(dateStr) {
+  return new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+}
+
+// Add days to a YYYY-MM-DD string without going through the host timezone
+function addDays(dateStr, days) {
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+}
+
+// Map spoken status values ("present", "not enrolled", ...) to stored statuses
+function normalizeStatus(value) {
+  if (!value) return null;
+  const status = value.toLowerCase().trim().replace(/\s+/g, '-');
+  
+  if (status === 'present' || status === 'attended') return 'present';
+  if (status === 'absent' || status === 'missed') return 'absent';
+  if (status === 'holiday' || status === 'holidays') return 'holiday';
+  if (status === 'not-enrolled' || status === 'unenrolled') return 'not-enrolled';
+  
+  return null;
+}
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Map a spoken weekday ("Monday", "mon") to 0 = Sunday .. 6 = Saturday, or -1
+function parseDayOfWeek(value) {
+  if (!value) return -1;
+  const prefix = value.toLowerCase().trim().substring(0, 3);
+  return DAY_NAMES.findIndex(name => name.startsWith(prefix));
+}
+
+// Slot values as an array, supporting multiple-value slots
+function getSlotValues(handlerInput, slotName) {
+  const slot = Alexa.getSlot(handlerInput.requestEnvelope, slotName);
+  if (!slot) return [];
+  
+  if (slot.slotValue && slot.slotValue.type === 'List') {
+    return slot.slotValue.values.map(v => v.value).filter(Boolean);
+  }
+  
+  return slot.value ? [slot.value] : [];
+}
+
+function isSpecificDate(dateStr) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(dateStr || '');
+}
+
+// A YYYY-MM-DD string that names a real calendar day (rejects 2025-02-30)
+function isValidCalendarDate(dateStr) {
+  if (!isSpecificDate(dateStr)) return false;
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().startsWith(dateStr);
+}
+
+// Describe a date for speech: "today" for today, otherwise the spoken date
+function describeDate(dateStr, timeZone = null) {
+  return dateStr === getFormattedDate(new Date(), timeZone) ? 'today' : formatAlexaDate(dateStr);
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// "a", "a and b", "a, b and c"
+function joinSpokenList(items) {
+  if (items.length <= 1) return items.join('');
+  return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+}
+
+// Resolve an AMAZON.DATE week ("2025-W10") or weekend ("2025-W10-WE") to its first and last day.
+// Weeks follow ISO 8601: they start on Monday and week 1 contains January 4th.
+function getWeekRange(dateValue) {
+  const match = /^(\d{4})-W(\d{2})(-WE)?$/.exec(dateValue || '');
+  if (!match) return null;
+  
+  const [, year, week, weekend] = match;
+  const jan4 = `${year}-01-04`;
+  const firstMonday = addDays(jan4, 1 - (getDayOfWeek(jan4) || 7));
+  const monday = addDays(firstMonday, (Number(week) - 1) * 7);
+  
+  return weekend
+    ? { startDate: addDays(monday, 5), endDate: addDays(monday, 6) }
+    : { startDate: monday, endDate: addDays(monday, 6) };
+}
+
+// Month ranges of the AMAZON.DATE season codes; winter runs into the following year
+const SEASON_MONTHS = { SP: ['03', '05'], SU: ['06', '08'], FA: ['09', '11'], WI: ['12', '02'] };
+
+function getLastDayOfMonth(year, month) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(new Date(Date.UTC(year, month, 0)).getUTCDate()).padStart(2, '0')}`;
+}
+
+// Resolve any AMAZON.DATE value to the first and last day it covers: a day, a week or weekend,
+// a month ("2025-06"), a season ("2025-SU"), a year ("2025") or a decade ("202X").
+// Returns null for values without a concrete year, like "XXXX-06".
+function getDateBounds(dateValue) {
+  if (isSpecificDate(dateValue)) {
+    return isValidCalendarDate(dateValue) ? { startDate: dateValue, endDate: dateValue } : null;
+  }
+  
+  const weekRange = getWeekRange(dateValue);
+  if (weekRange) return weekRange;
+  
+  let match = /^(\d{4})-(\d{2})$/.exec(dateValue || '');
+  if (match && Number(match[2]) >= 1 && Number(match[2]) <= 12) {
+    return { startDate: `${match[1]}-${match[2]}-01`, endDate: getLastDayOfMonth(Number(match[1]), Number(match[2])) };
+  }
+  
+  match = /^(\d{4})-(SP|SU|FA|WI)$/.exec(dateValue || '');
+  if (match) {
+    const year = Number(match[1]);
+    const [startMonth, endMonth] = SEASON_MONTHS[match[2]];
+    const endYear = match[2] === 'WI' ? year + 1 : year;
+    return { startDate: `${year}-${startMonth}-01`, endDate: getLastDayOfMonth(endYear, Number(endMonth)) };
+  }
+  
+  if (/^\d{4}$/.test(dateValue || '')) {
+    return { startDate: `${dateValue}-01-01`, endDate: `${dateValue}-12-31` };
+  }
+  
+  match = /^(\d{3})X$/.exec(dateValue || '');
+  if (match) {
+    return { startDate: `${match[1]}0-01-01`, endDate: `${match[1]}9-12-31` };
+  }
+  
+  return null;
+}
+
+// Resolve the optional AMAZON.DATE slot to a single day, defaulting to today.
+// Alexa resolves relative phrases like "yesterday" or "last Friday" to YYYY-MM-DD,
+// but weeks, months and seasons come back in other formats and are rejected.
+function getRequestedDate(handlerInput, slotName = 'date') {
+  const dateValue = Alexa.getSlotValue(handlerInput.requestEnvelope, slotName);
+  
+  if (!dateValue) {
+    return { date: getFormattedDate(new Date(), getRequestTimeZone(handlerInput)), fromSlot: false };
+  }
+  
+  if (!isSpecificDate(dateValue)) {
+    return { date: null, fromSlot: true, rawValue: dateValue };
+  }
+  
+  return { date: dateValue, fromSlot: true };
+}
+
+// Multi-turn state a follow-up answer ("yes", "the second one", "present") applies to. Only one
+// can be open at a time: asking a new question drops the others, so an answer always goes to
+// the last question asked.
+const PENDING_STATE_KEYS = [
+  'pendingStatusChange',
+  'pendingRangeChange',
+  'pendingSessionDelete',
+  'pendingSessionChoice',
+  'pendingSessionCreation',
+  'pendingGapFill',
+  'resumeOffer'
+];
+
+function setPendingState(handlerInput, key, value) {
+  const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+  PENDING_STATE_KEYS.forEach(pendingKey => {
+    if (pendingKey !== key) delete sessionAttributes[pendingKey];
+  });
+  sessionAttributes[key] = value;
+  handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+}
+
+// Time zone resolved for this session by TimeZoneRequestInterceptor
+function getRequestTimeZone(handlerInput) {
+  const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+  return sessionAttributes.timeZone || null;
 }
 
 function getAccessToken(handlerInput) {
@@ -137,25 +452,22 @@ async function getAlexaUserProfile(accessToken) {
 
 // Get or create organized Alexa user entry
 async function getOrCreateAlexaUser(alexaUserId) {
-  await ensureFirebaseInitialized();
-  const db = admin.firestore();
+  const storage = await getStorage();
   
-  const alexaUserRef = db.collection('DB').doc('credentials')
-    .collection('alexa').doc(alexaUserId)
-    .collection('profile').doc('default');
+  const alexaUserPath = `DB/credentials/alexa/${alexaUserId}/profile/default`;
   
-  const userDoc = await alexaUserRef.get();
+  const userDoc = await storage.getDocument(alexaUserPath);
   
-  if (!userDoc.exists) {
+  if (!userDoc) {
     // Create organized Alexa user structure
     const alexaUserData = {
       userId: alexaUserId,
       type: 'alexa',
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      createdAt: storage.serverTimestamp(),
       key: alexaUserId // Use Alexa user ID as the key for attendance
     };
     
-    await alexaUserRef.set(alexaUserData);
+    await storage.setDocument(alexaUserPath, alexaUserData);
     
     console.log(`Created organized Alexa user: ${alexaUserId}`);
   }
@@ -165,17 +477,12 @@ async function getOrCreateAlexaUser(alexaUserId) {
 
 // Find existing user mapping in organized structure
 async function findExistingUserMapping(alexaUserId) {
-  await ensureFirebaseInitialized();
-  const db = admin.firestore();
+  const storage = await getStorage();
   
-  const mappingRef = db.collection('DB').doc('credentials')
-    .collection('alexa').doc(alexaUserId)
-    .collection('mapping').doc('google');
+  const mappingDoc = await storage.getDocument(`DB/credentials/alexa/${alexaUserId}/mapping/google`);
   
-  const mappingDoc = await mappingRef.get();
-  
-  if (mappingDoc.exists && mappingDoc.data().googleUid) {
-    return mappingDoc.data().googleUid;
+  if (mappingDoc && mappingDoc.googleUid) {
+    return mappingDoc.googleUid;
   }
   
   return null;
@@ -183,54 +490,48 @@ async function findExistingUserMapping(alexaUserId) {
 
 // Create mapping from Alexa user to Google user
 async function createAlexaToGoogleMapping(alexaUserId, googleUid, alexaProfile, userKey) {
-  const db = admin.firestore();
+  const storage = await getStorage();
   
   // 1. Create mapping document
-  await db.collection('DB').doc('credentials')
-    .collection('alexa').doc(alexaUserId)
-    .collection('mapping').doc('google').set({
-      googleUid: googleUid,
-      alexaUserId: alexaUserId,
-      email: alexaProfile.email,
-      mappedAt: admin.firestore.FieldValue.serverTimestamp(),
-      userKey: userKey
-    });
+  await storage.setDocument(`DB/credentials/alexa/${alexaUserId}/mapping/google`, {
+    googleUid: googleUid,
+    alexaUserId: alexaUserId,
+    email: alexaProfile.email,
+    mappedAt: storage.serverTimestamp(),
+    userKey: userKey
+  });
   
   // 2. Create Alexa profile with mapping info
-  await db.collection('DB').doc('credentials')
-    .collection('alexa').doc(alexaUserId)
-    .collection('profile').doc('default').set({
-      userId: alexaUserId,
-      email: alexaProfile.email,
-      name: alexaProfile.name || 'Alexa User',
-      type: 'alexa',
-      mappedToGoogle: true,
-      googleUid: googleUid,
-      key: userKey, // Use the same key as Google user
-      createdAt: admin.firestore.FieldValue.serverTimestamp()
-    });
+  await storage.setDocument(`DB/credentials/alexa/${alexaUserId}/profile/default`, {
+    userId: alexaUserId,
+    email: alexaProfile.email,
+    name: alexaProfile.name || 'Alexa User',
+    type: 'alexa',
+    mappedToGoogle: true,
+    googleUid: googleUid,
+    key: userKey, // Use the same key as Google user
+    createdAt: storage.serverTimestamp()
+  });
   
   console.log(`Successfully mapped Alexa user ${alexaUserId} to Google user ${googleUid}`);
 }
 
 // Create standalone Alexa user (no Google mapping)
 async function createStandaloneAlexaUser(alexaUserId, alexaProfile) {
-  const db = admin.firestore();
+  const storage = await getStorage();
   
   const userKey = alexaUserId; // Use Alexa user ID as key for attendance
   
   // Create Alexa profile
-  await db.collection('DB').doc('credentials')
-    .collection('alexa').doc(alexaUserId)
-    .collection('profile').doc('default').set({
-      userId: alexaUserId,
-      email: alexaProfile?.email || null,
-      name: alexaProfile?.name || 'Alexa User',
-      type: 'alexa',
-      mappedToGoogle: false,
-      key: userKey,
-      createdAt: admin.firestore.FieldValue.serverTimestamp()
-    });
+  await storage.setDocument(`DB/credentials/alexa/${alexaUserId}/profile/default`, {
+    userId: alexaUserId,
+    email: alexaProfile?.email || null,
+    name: alexaProfile?.name || 'Alexa User',
+    type: 'alexa',
+    mappedToGoogle: false,
+    key: userKey,
+    createdAt: storage.serverTimestamp()
+  });
   
   console.log(`Created standalone Alexa user: ${alexaUserId}`);
   
@@ -239,19 +540,15 @@ async function createStandaloneAlexaUser(alexaUserId, alexaProfile) {
 
 // Find Google user by email in existing credentials structure
 async function findGoogleUserByEmail(email) {
-  await ensureFirebaseInitialized();
-  const db = admin.firestore();
+  const storage = await getStorage();
   
   try {
-    const credentialsRef = db.collection('DB').doc('credentials');
-    const credentialsDoc = await credentialsRef.get();
+    const credentialsData = await storage.getDocument('DB/credentials');
     
-    if (!credentialsDoc.exists) {
+    if (!credentialsData) {
       return null;
     }
     
-    const credentialsData = credentialsDoc.data();
-    
     // Search through all Google users in credentials
     for (const [googleUid, userData] of Object.entries(credentialsData)) {
       if (userData && userData.email === email) {
@@ -274,7 +571,7 @@ async function findGoogleUserByEmail(email) {
 
 // Enhanced findOrCreateUserMapping with better linking
 async function findOrCreateUserMapping(handlerInput, alexaUserId, accessToken) {
-  await ensureFirebaseInitialized();
+  await getStorage();
   
   try {
     // Get Alexa user profile
@@ -342,28 +639,18 @@ async function getUserKey(handlerInput) {
 
 // Update getAttendanceKey to handle organized structure
 async function getAttendanceKey(uid) {
-  await ensureFirebaseInitialized();
-  const db = admin.firestore();
+  const storage = await getStorage();
   
   // Check if this is an Alexa user
   if (uid.startsWith('amzn1.ask.account.')) {
-    const alexaProfileRef = db.collection('DB').doc('credentials')
-      .collection('alexa').doc(uid)
-      .collection('profile').doc('default');
+    const profileData = await storage.getDocument(`DB/credentials/alexa/${uid}/profile/default`);
     
-    const alexaProfile = await alexaProfileRef.get();
-    
-    if (alexaProfile.exists) {
-      const profileData = alexaProfile.data();
-      
+    if (profileData) {
       // If mapped to Google, use Google user's key
       if (profileData.mappedToGoogle && profileData.googleUid) {
-        const googleProfileRef = db.collection('DB').doc('credentials')
-          .collection(profileData.googleUid).doc('profile');
-        
-        const googleProfile = await googleProfileRef.get();
-        if (googleProfile.exists && googleProfile.data().key) {
-          return String(googleProfile.data().key).trim();
+        const googleProfile = await storage.getDocument(`DB/credentials/${profileData.googleUid}/profile`);
+        if (googleProfile && googleProfile.key) {
+          return String(googleProfile.key).trim();
         }
         return profileData.googleUid;
       }
@@ -375,10 +662,9 @@ async function getAttendanceKey(uid) {
   
   // For Google users, use existing logic
   try {
-    const ref = db.collection('DB').doc('credentials').collection(uid).doc('profile');
-    const snap = await ref.get();
-    if (snap.exists && snap.data() && snap.data().key) {
-      return String(snap.data().key).trim();
+    const profile = await storage.getDocument(`DB/credentials/${uid}/profile`);
+    if (profile && profile.key) {
+      return String(profile.key).trim();
     }
   } catch (_) { /* ignore and fall back */ }
   
@@ -387,24 +673,23 @@ async function getAttendanceKey(uid) {
 
 // Helper retained for compatibility, now just resolves the key (no writes)
 async function ensureUserCredentials(uid) {
-  await ensureFirebaseInitialized();
+  await getStorage();
   const attendanceKey = await getAttendanceKey(uid);
   return attendanceKey;
 }
 
 // Migrate data from uid-based documents to key-based documents
 async function migrateUserData(uid) {
-  await ensureFirebaseInitialized();
-  const db = admin.firestore();
+  const storage = await getStorage();
   
   const attendanceKey = await getAttendanceKey(uid);
   
-  const uidDoc = await db.collection('attendance').doc(uid).get();
-  const keyDoc = await db.collection('attendance').doc(attendanceKey).get();
+  const uidDoc = await storage.getDocument(`attendance/${uid}`);
+  const keyDoc = await storage.getDocument(`attendance/${attendanceKey}`);
   
-  if (uidDoc.exists && !keyDoc.exists) {
+  if (uidDoc && !keyDoc) {
     console.log(`Migrating data from ${uid} to ${attendanceKey}`);
-    await db.collection('attendance').doc(attendanceKey).set(uidDoc.data());
+    await storage.setDocument(`attendance/${attendanceKey}`, uidDoc);
   }
   
   return attendanceKey;
@@ -412,44 +697,43 @@ async function migrateUserData(uid) {
 
 // Get the actual attendance key from credentials
 async function getUserData(uid) {
-  await ensureFirebaseInitialized();
-  const db = admin.firestore();
+  const storage = await getStorage();
   
   const attendanceKey = await getAttendanceKey(uid);
-  const docRef = db.collection('attendance').doc(attendanceKey);
-  const doc = await docRef.get();
+  const doc = await storage.getDocument(`attendance/${attendanceKey}`);
   
-  if (doc.exists) {
-    return doc.data();
+  if (doc) {
+    return doc;
   }
   
-  const fallbackRef = db.collection('attendance').doc(uid);
-  const fallbackDoc = await fallbackRef.get();
+  const fallbackDoc = await storage.getDocument(`attendance/${uid}`);
   
-  return fallbackDoc.exists ? fallbackDoc.data() : {};
+  return fallbackDoc || {};
 }
 
 // Update user data using correct key structure
 async function updateUserData(uid, updates) {
-  await ensureFirebaseInitialized();
-  const db = admin.firestore();
+  const storage = await getStorage();
   
   const attendanceKey = await getAttendanceKey(uid);
-  const docRef = db.collection('attendance').doc(attendanceKey);
-
-  await docRef.set(updates, { merge: true });
+  
+  await storage.setDocument(`attendance/${attendanceKey}`, updates, { merge: true });
 }
 
 // Get day status with correct structure
 async function getDayStatus(uid, date) {
   const userData = await getUserData(uid);
-  
+  return getDayStatusFromData(userData, date);
+}
+
+// Read a day's status from an already loaded attendance document
+function getDayStatusFromData(userData, date) {
   if (userData.records && userData.records[date] !== undefined) {
     return userData.records[date] ? 'present' : 'absent';
   }
   
-  if (userData.holidays && userData.holidays.some(h => h.date === date)) {
-    const holiday = userData.holidays.find(h => h.date === date);
+  const holiday = (getCalendarForDate(userData, date).holidays || []).find(h => h.date === date);
+  if (holiday) {
     return { status: 'holiday', name: holiday.name };
   }
   
@@ -463,356 +747,3241 @@ async function getDayStatus(uid, date) {
 // Set day status with correct structure
 async function setDayStatus(uid, date, status, extraData = {}) {
   const userData = await getUserData(uid);
+  const storage = await getStorage();
   
   const records = userData.records || {};
-  let holidays = userData.holidays || [];
   let notEnrolled = userData.notEnrolled || [];
   
   delete records[date];
-  holidays = holidays.filter(h => h.date !== date);
   notEnrolled = notEnrolled.filter(d => d !== date);
   
   if (status === 'present') {
     records[date] = true;
   } else if (status === 'absent') {
     records[date] = false;
-  } else if (status === 'holiday') {
-    holidays.push({ date, name: extraData.holidayName || 'Holiday' });
   } else if (status === 'not-enrolled') {
     notEnrolled.push(date);
   }
   
+  const { holidays, sessions } = applyHolidayChanges(userData, [{ date, status, holidayName: extraData.holidayName }]);
+  
   await updateUserData(uid, {
     records,
     holidays,
     notEnrolled,
-    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    sessions,
+    updatedAt: storage.serverTimestamp()
   });
   
   return { success: true };
 }
 
-// Check if a date is a non-working day
-function isNonWorkingDay(dateStr, userData) {
-  const date = new Date(dateStr);
-  const dayOfWeek = date.getDay();
+// Set the same status on several days with a single read and a single write
+async function setDayStatuses(uid, dates, status, extraData = {}) {
+  return setDayStatusChanges(uid, dates.map(date => ({ date, status, holidayName: extraData.holidayName })));
+}
+
+// Apply a list of { date, status, holidayName } changes with a single read and a single write,
+// keeping records, holidays and notEnrolled exclusive like setDayStatus does
+async function setDayStatusChanges(uid, changes) {
+  const userData = await getUserData(uid);
+  const storage = await getStorage();
   
-  if (dayOfWeek === 0) return true;
+  const dateSet = new Set(changes.map(c => c.date));
+  const records = userData.records || {};
+  const notEnrolled = (userData.notEnrolled || []).filter(d => !dateSet.has(d));
+  
+  changes.forEach(({ date, status }) => {
+    delete records[date];
+    
+    if (status === 'present') {
+      records[date] = true;
+    } else if (status === 'absent') {
+      records[date] = false;
+    } else if (status === 'not-enrolled') {
+      notEnrolled.push(date);
+    }
+  });
   
-  const weeklyDaysOff = userData.weeklyDaysOff || [];
-  if (weeklyDaysOff.includes(dayOfWeek)) return true;
+  const { holidays, sessions } = applyHolidayChanges(userData, changes);
   
-  return false;
+  await updateUserData(uid, {
+    records,
+    holidays,
+    notEnrolled,
+    sessions,
+    updatedAt: storage.serverTimestamp()
+  });
+  
+  return { success: true, count: changes.length };
 }
 
-// Monthly attendance calculation with correct structure
-async function calculateMonthlyAttendance(uid, yearMonth) {
+// Subjects: sessions may list subjects, each with an optional weekly timetable
+// (days as 0 = Sunday .. 6 = Saturday). Marks for a subject live in
+// subjectRecords[subjectName][date]; the top-level records map is the default subject.
+const DEFAULT_SUBJECT = 'General';
+
+function getSessionSubjects(session) {
+  return session && Array.isArray(session.subjects) ? session.subjects : [];
+}
+
+function findSubject(session, subjectName) {
+  if (!subjectName) return null;
+  return getSessionSubjects(session).find(s => s.name.toLowerCase() === subjectName.toLowerCase()) || null;
+}
+
+function getSubjectRecords(userData, subjectName) {
+  if (!subjectName || subjectName === DEFAULT_SUBJECT) return userData.records || {};
+  return (userData.subjectRecords && userData.subjectRecords[subjectName]) || {};
+}
+
+function isSubjectScheduled(subject, dateStr) {
+  return !subject.days || subject.days.length === 0 || subject.days.includes(getDayOfWeek(dateStr));
+}
+
+// Session that applies on a date, for its calendar and subjects: the selected one when it covers
+// the date, otherwise the one getSessionCoveringDate picks
+function getSessionForDate(userData, dateStr) {
+  const sessions = userData.sessions || [];
+  const preset = sessions.find(s => s.isSelected === true);
+  return preset && sessionCoversDate(preset, dateStr) ? preset : getSessionCoveringDate(sessions, dateStr);
+}
+
+function getSubjectStatusFromData(userData, date, subjectName) {
+  const records = getSubjectRecords(userData, subjectName);
+  if (records[date] === undefined) return null;
+  return records[date] ? 'present' : 'absent';
+}
+
+// Set present/absent for one subject on a day
+async function setSubjectStatus(uid, date, subjectName, status) {
   const userData = await getUserData(uid);
-  const [year, month] = yearMonth.split('-').map(Number);
+  const storage = await getStorage();
   
-  const daysInMonth = new Date(year, month, 0).getDate();
-  let presentDays = 0;
-  let totalWorkingDays = 0;
-  const today = getFormattedDate();
+  const subjectRecords = userData.subjectRecords || {};
+  const records = subjectRecords[subjectName] || {};
   
-  for (let day = 1; day <= daysInMonth; day++) {
-    const dateStr = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
-    
-    if (dateStr > today) continue;
-    if (isNonWorkingDay(dateStr, userData)) continue;
-    
-    const isHoliday = userData.holidays && userData.holidays.some(h => h.date === dateStr);
-    if (isHoliday) continue;
-    
-    const isNotEnrolled = userData.notEnrolled && userData.notEnrolled.includes(dateStr);
-    if (isNotEnrolled) continue;
-    
-    totalWorkingDays++;
-    
-    if (userData.records && userData.records[dateStr] === true) {
-      presentDays++;
-    }
+  if (status === 'present') {
+    records[date] = true;
+  } else if (status === 'absent') {
+    records[date] = false;
+  } else {
+    delete records[date];
   }
+  subjectRecords[subjectName] = records;
   
-  return totalWorkingDays > 0 ? Math.round((presentDays / totalWorkingDays) * 100) : 0;
+  await updateUserData(uid, {
+    subjectRecords,
+    updatedAt: storage.serverTimestamp()
+  });
+  
+  return { success: true };
 }
 
-// Session attendance calculation using selectedSession when present
-async function calculateSessionAttendance(uid, sessionName = null) {
+// Add a subject to a session, or update the timetable of an existing one
+async function saveSessionSubject(uid, sessionCode, subjectName, days = []) {
   const userData = await getUserData(uid);
+  const sessions = userData.sessions || [];
   
-  let startDate, endDate;
-  let sessionUsed = 'current session';
+  const session = sessions.find(s => s.code === sessionCode);
+  if (!session) return { success: false, error: 'Session not found' };
   
-  const sessions = userData.sessions || [];
-  const selectedSession = sessions.find(s => s.isSelected === true);
+  const existing = findSubject(session, subjectName);
+  const subject = { name: existing ? existing.name : subjectName, days };
+  const subjects = getSessionSubjects(session).filter(s => s !== existing);
+  subjects.push(subject);
   
-  if (selectedSession) {
-    startDate = selectedSession.startDate;
-    endDate = selectedSession.endDate || getFormattedDate();
-    sessionUsed = selectedSession.name || sessionUsed;
-  }
+  const updatedSessions = sessions.map(s => 
+    s.code === sessionCode ? { ...s, subjects } : s
+  );
   
-  if ((!startDate || !endDate) && sessionName) {
-    const session = sessions.find(s => 
-      s.name.toLowerCase() === sessionName.toLowerCase() || 
-      s.code === sessionName
-    );
-    if (session) {
-      startDate = session.startDate;
-      endDate = session.endDate;
-      sessionUsed = session.name;
-    }
-  }
+  await updateUserData(uid, { sessions: updatedSessions });
+  return { success: true, subject, updated: !!existing };
+}
+
+// Weekly days off (0 = Sunday .. 6 = Saturday). Sunday is off unless the user has turned it
+// off with sundayOff: false; other days come from weeklyDaysOff.
+function getWeeklyDaysOff(userData) {
+  const days = new Set((userData.weeklyDaysOff || []).map(Number));
   
-  if (!startDate || !endDate) {
-    const currentYear = getLocalDate().getUTCFullYear();
-    startDate = `${currentYear}-01-01`;
-    endDate = `${currentYear}-12-31`;
-    sessionUsed = 'current year';
+  if (userData.sundayOff === false) {
+    days.delete(0);
+  } else {
+    days.add(0);
   }
   
-  const start = new Date(startDate);
-  const end = new Date(endDate);
-  const today = new Date(getFormattedDate());
-  
-  let presentDays = 0;
-  let totalWorkingDays = 0;
+  return [...days].sort((a, b) => a - b);
+}
+
+// WORKING CALENDAR RULES
+// userData.calendarRules closes days beyond the weekly days off. Each rule is one of:
+//   { type: 'nthWeekday', weekday: 6, weeks: [2, 4] }        the 2nd and 4th Saturday of every month (-1 = last)
+//   { type: 'alternateWeeks', weekday: 6, startDate }        every other Saturday, starting with startDate
+// Date-range closures are breaks (userData.breaks), see getBreakForDate.
+const ORDINAL_NAMES = ['last', 'first', 'second', 'third', 'fourth', 'fifth'];
+
+function getDaysBetween(startDate, endDate) {
+  return Math.round((new Date(`${endDate}T00:00:00Z`) - new Date(`${startDate}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
+}
+
+function matchesCalendarRule(rule, dateStr) {
+  if (getDayOfWeek(dateStr) !== rule.weekday) return false;
   
-  const currentDate = new Date(start);
-  while (currentDate <= end && currentDate <= today) {
-    const dateStr = currentDate.toISOString().split('T')[0];
-    
-    if (isNonWorkingDay(dateStr, userData)) {
-      currentDate.setDate(currentDate.getDate() + 1);
-      continue;
-    }
-    
-    const isHoliday = userData.holidays && userData.holidays.some(h => h.date === dateStr);
-    if (isHoliday) {
-      currentDate.setDate(currentDate.getDate() + 1);
-      continue;
-    }
-    
-    const isNotEnrolled = userData.notEnrolled && userData.notEnrolled.includes(dateStr);
-    if (isNotEnrolled) {
-      currentDate.setDate(currentDate.getDate() + 1);
-      continue;
-    }
-    
-    totalWorkingDays++;
-    
-    if (userData.records && userData.records[dateStr] === true) {
-      presentDays++;
-    }
-    
-    currentDate.setDate(currentDate.getDate() + 1);
+  if (rule.type === 'nthWeekday') {
+    const day = Number(dateStr.substring(8, 10));
+    const [year, month] = dateStr.split('-').map(Number);
+    const isLast = day + 7 > new Date(Date.UTC(year, month, 0)).getUTCDate();
+    return rule.weeks.includes(Math.ceil(day / 7)) || (isLast && rule.weeks.includes(-1));
   }
   
-  const percentage = totalWorkingDays > 0 ? Math.round((presentDays / totalWorkingDays) * 100) : 0;
+  if (rule.type === 'alternateWeeks') {
+    const days = getDaysBetween(rule.startDate, dateStr);
+    return days >= 0 && days % 14 === 0;
+  }
   
-  return {
-    percentage,
-    sessionName: sessionUsed,
-    presentDays,
-    totalWorkingDays
-  };
+  return false;
 }
 
-// Set selected session (store in sessions array with isSelected: true)
-async function setAlexaPresetSession(uid, sessionIdentifier) {
-  const userData = await getUserData(uid);
-  if (!userData.sessions || userData.sessions.length === 0) {
-    return { success: false, error: 'No sessions found' };
-  }
-  
-  const found = userData.sessions.find(s => 
-    s.code === sessionIdentifier || 
-    (s.name && s.name.toLowerCase() === String(sessionIdentifier).toLowerCase())
-  );
+// "the second and fourth Saturday of every month", "every other Saturday from March 8, 2025"
+function describeCalendarRule(rule) {
+  const weekday = capitalize(DAY_NAMES[rule.weekday]);
   
-  if (!found) return { success: false, error: 'Session not found' };
+  if (rule.type === 'nthWeekday') {
+    const ordered = [...rule.weeks].sort((a, b) => (a === -1 ? 6 : a) - (b === -1 ? 6 : b));
+    return `the ${joinSpokenList(ordered.map(week => ORDINAL_NAMES[week === -1 ? 0 : week]))} ${weekday} of every month`;
+  }
   
-  const sessions = userData.sessions.map(session => ({
-    ...session,
-    isSelected: session.code === found.code
-  }));
+  return `every other ${weekday} from ${formatAlexaDate(rule.startDate)}`;
+}
+
+// "second" or "2nd" -> 2, "last" -> -1, or null
+function parseWeekOrdinal(value) {
+  const word = String(value || '').toLowerCase().trim();
+  if (word === 'last') return -1;
   
-  await updateUserData(uid, { sessions });
-  return { success: true, session: found };
+  const match = /^(\d)(st|nd|rd|th)?$/.exec(word);
+  const week = match ? Number(match[1]) : ORDINAL_NAMES.indexOf(word);
+  return week >= 1 && week <= 5 ? week : null;
 }
 
-// Get selected session
-async function getAlexaPresetSession(uid) {
-  const userData = await getUserData(uid);
-  const sessions = userData.sessions || [];
-  return sessions.find(s => s.isSelected === true) || null;
+// BREAKS
+// Named vacations and breaks ({ id, name, startDate, endDate }) in userData.breaks. Every day of a
+// break is a non-working day; single-day holidays stay in the holiday lists and still need marking.
+function getBreakForDate(userData, dateStr) {
+  return (userData.breaks || []).find(b => dateStr >= b.startDate && dateStr <= b.endDate) || null;
 }
 
-// Clear selected session
-async function clearAlexaPresetSession(uid) {
-  const userData = await getUserData(uid);
-  const sessions = userData.sessions || [];
-  
-  const updatedSessions = sessions.map(session => ({
-    ...session,
-    isSelected: false
-  }));
-  
-  await updateUserData(uid, { sessions: updatedSessions });
-  return { success: true };
+// "Diwali break, October 20, 2025 to October 27, 2025"
+function describeBreak(breakEntry) {
+  const range = breakEntry.startDate === breakEntry.endDate
+    ? formatAlexaDate(breakEntry.startDate)
+    : `${formatAlexaDate(breakEntry.startDate)} to ${formatAlexaDate(breakEntry.endDate)}`;
+  return `${breakEntry.name}, ${range}`;
 }
 
-// Save session (stores in sessions array, can set as selected)
-async function saveSession(uid, sessionName, startDate, endDate, setAsPreset = false) {
-  const userData = await getUserData(uid);
-  const sessions = userData.sessions || [];
-  
-  const sessionCode = generateSessionCode(sessionName);
+// Check if a date is a non-working day
+function isNonWorkingDay(dateStr, userData) {
+  if (getWeeklyDaysOff(userData).includes(getDayOfWeek(dateStr))) return true;
+  if (getBreakForDate(userData, dateStr)) return true;
+  return (userData.calendarRules || []).some(rule => matchesCalendarRule(rule, dateStr));
+}
+
+// SESSION CALENDARS
+// A session may carry its own weeklyDaysOff, sundayOff and holidays; anything it leaves unset
+// comes from the user-level defaults at the top of the attendance document.
+const SESSION_CALENDAR_KEYS = ['weeklyDaysOff', 'sundayOff', 'holidays'];
+
+function hasOwnDaysOff(session) {
+  return !!session && (session.weeklyDaysOff !== undefined || session.sundayOff !== undefined);
+}
+
+// The attendance document as seen through one session's calendar
+function getSessionCalendar(userData, session) {
+  if (!session) return userData;
   
-  const sessionData = {
-    name: sessionName,
-    code: sessionCode,
-    startDate,
-    endDate,
-    createdAt: new Date().toISOString(),
-    isSelected: setAsPreset
+  const calendar = { ...userData };
+  SESSION_CALENDAR_KEYS.forEach(key => {
+    if (session[key] !== undefined) calendar[key] = session[key];
+  });
+  return calendar;
+}
+
+// The calendar that applies on a date: that of the session getSessionForDate picks,
+// otherwise the user-level defaults
+function getCalendarForDate(userData, dateStr) {
+  return getSessionCalendar(userData, getSessionForDate(userData, dateStr));
+}
+
+// Apply a batch of { date, status, holidayName } changes to the holiday lists. Each date's holiday
+// goes to the list of the session getSessionForDate picks when it keeps its own holidays, and to
+// the user-level list otherwise; the other lists are left alone. Returns { holidays, sessions }.
+function applyHolidayChanges(userData, changes) {
+  const holidays = [...(userData.holidays || [])];
+  const sessions = (userData.sessions || []).map(session =>
+    Array.isArray(session.holidays) ? { ...session, holidays: [...session.holidays] } : session
+  );
+  
+  changes.forEach(({ date, status, holidayName }) => {
+    const session = getSessionForDate({ ...userData, sessions }, date);
+    const list = session && Array.isArray(session.holidays) ? session.holidays : holidays;
+    
+    const index = list.findIndex(h => h.date === date);
+    if (index !== -1) list.splice(index, 1);
+    if (status === 'holiday') list.push({ date, name: holidayName || 'Holiday' });
+  });
+  
+  return { holidays, sessions };
+}
+
+// Check a date against the selected session's range, returns an error message or null
+function getSessionRangeError(dateStr, userData) {
+  const sessions = userData.sessions || [];
+  const selectedSession = sessions.find(s => s.isSelected === true);
+  
+  if (!selectedSession || !selectedSession.startDate) return null;
+  
+  const endDate = selectedSession.endDate;
+  if (dateStr < selectedSession.startDate || (endDate && dateStr > endDate)) {
+    return `${capitalize(describeDate(dateStr, userData.timeZone))} is outside your session ${selectedSession.name}, which runs from ${formatAlexaDate(selectedSession.startDate)} to ${endDate ? formatAlexaDate(endDate) : 'today'}.`;
+  }
+  
+  return null;
+}
+
+// Validate a requested marking date, returns an error message or null
+function getMarkingDateError(requested, userData) {
+  if (!requested.date) {
+    return 'Please tell me a specific day, like "yesterday" or "March third".';
+  }
+  
+  const breakEntry = getBreakForDate(userData, requested.date);
+  if (breakEntry) {
+    return `${capitalize(describeDate(requested.date, userData.timeZone))} is during ${breakEntry.name}. You cannot mark attendance during a break.`;
+  }
+  
+  if (isNonWorkingDay(requested.date, getCalendarForDate(userData, requested.date))) {
+    return `${capitalize(describeDate(requested.date, userData.timeZone))} is a non-working day. You cannot mark attendance on non-working days.`;
+  }
+  
+  if (requested.fromSlot) {
+    return getSessionRangeError(requested.date, userData);
+  }
+  
+  return null;
+}
+
+const MAX_RANGE_DAYS = 366;
+
+// Split a date range into working days and skipped non-working days
+function getWorkingDaysInRange(startDate, endDate, userData) {
+  const workingDays = [];
+  const skippedDays = [];
+  
+  let dateStr = startDate;
+  while (dateStr <= endDate && workingDays.length + skippedDays.length < MAX_RANGE_DAYS) {
+    if (isNonWorkingDay(dateStr, getCalendarForDate(userData, dateStr))) {
+      skippedDays.push(dateStr);
+    } else {
+      workingDays.push(dateStr);
+    }
+    dateStr = addDays(dateStr, 1);
+  }
+  
+  return { workingDays, skippedDays };
+}
+
+// Summarize days whose existing status would be overwritten, e.g. "2 present and 1 holiday"
+function summarizeConflicts(conflicts) {
+  const counts = {};
+  conflicts.forEach(c => {
+    counts[c.oldStatus] = (counts[c.oldStatus] || 0) + 1;
+  });
+  
+  return joinSpokenList(Object.entries(counts).map(([status, count]) => `${count} ${status.replace('-', ' ')}`));
+}
+
+// A working day the user can attend: not a non-working day, holiday or not-enrolled day
+function isCountedDay(dateStr, userData) {
+  if (isNonWorkingDay(dateStr, userData)) return false;
+  
+  const isHoliday = userData.holidays && userData.holidays.some(h => h.date === dateStr);
+  if (isHoliday) return false;
+  
+  const isNotEnrolled = userData.notEnrolled && userData.notEnrolled.includes(dateStr);
+  if (isNotEnrolled) return false;
+  
+  return true;
+}
+
+function toPercentage(presentDays, totalWorkingDays) {
+  return totalWorkingDays > 0 ? Math.round((presentDays / totalWorkingDays) * 100) : 0;
+}
+
+// A counted day the user hasn't marked at all, neither as a whole day nor for any subject
+function isUnmarkedDay(dateStr, userData, subjects = []) {
+  if (!isCountedDay(dateStr, userData)) return false;
+  if ((userData.records || {})[dateStr] !== undefined) return false;
+  return !subjects.some(subject => getSubjectRecords(userData, subject.name)[dateStr] !== undefined);
+}
+
+// Tally attendance per subject over the given dates. The legacy records map is the
+// default subject; it is included when no subjects are set up or when it has marks.
+function tallyAttendance(userData, dates, subjects = []) {
+  const countedDates = dates.filter(dateStr => isCountedDay(dateStr, userData));
+  const legacyRecords = userData.records || {};
+  
+  const tracks = [...subjects];
+  if (subjects.length === 0 || countedDates.some(dateStr => legacyRecords[dateStr] !== undefined)) {
+    tracks.unshift({ name: DEFAULT_SUBJECT });
+  }
+  
+  const subjectResults = tracks.map(subject => {
+    const records = getSubjectRecords(userData, subject.name);
+    let presentDays = 0;
+    let absentDays = 0;
+    let totalWorkingDays = 0;
+    
+    countedDates.forEach(dateStr => {
+      if (!isSubjectScheduled(subject, dateStr)) return;
+      
+      totalWorkingDays++;
+      if (records[dateStr] === true) {
+        presentDays++;
+      } else if (records[dateStr] === false) {
+        absentDays++;
+      }
+    });
+    
+    return {
+      name: subject.name,
+      percentage: toPercentage(presentDays, totalWorkingDays),
+      presentDays,
+      absentDays,
+      unmarkedDays: totalWorkingDays - presentDays - absentDays,
+      totalWorkingDays
+    };
+  });
+  
+  const presentDays = subjectResults.reduce((sum, s) => sum + s.presentDays, 0);
+  const absentDays = subjectResults.reduce((sum, s) => sum + s.absentDays, 0);
+  const totalWorkingDays = subjectResults.reduce((sum, s) => sum + s.totalWorkingDays, 0);
+  
+  // Unmarked days are counted per calendar day, not per subject, so they match the days a user has to fill in
+  const unmarkedDates = countedDates.filter(dateStr => isUnmarkedDay(dateStr, userData, subjects));
+  
+  return {
+    percentage: toPercentage(presentDays, totalWorkingDays),
+    presentDays,
+    absentDays,
+    totalWorkingDays,
+    unmarkedDays: unmarkedDates.length,
+    unmarkedDates,
+    subjects: subjectResults
   };
+}
+
+// Days of a YYYY-MM month up to and including today
+function getMonthDates(yearMonth, today) {
+  const [year, month] = yearMonth.split('-').map(Number);
   
-  const existingIndex = sessions.findIndex(s => 
-    s.name.toLowerCase() === sessionName.toLowerCase() || 
-    s.code === sessionCode
-  );
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const dates = [];
   
-  let updatedSessions;
-  if (existingIndex !== -1) {
-    updatedSessions = [...sessions];
-    updatedSessions[existingIndex] = sessionData;
+  for (let day = 1; day <= daysInMonth; day++) {
+    const dateStr = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    
+    if (dateStr > today) continue;
+    dates.push(dateStr);
+  }
+  
+  return dates;
+}
+
+// Monthly attendance calculation with correct structure
+async function calculateMonthlyAttendance(uid, yearMonth) {
+  const userData = await getUserData(uid);
+  const today = getFormattedDate(new Date(), userData.timeZone);
+  
+  const activeSession = getActiveSession(userData, today);
+  
+  return tallyAttendance(getSessionCalendar(userData, activeSession), getMonthDates(yearMonth, today), getSessionSubjects(activeSession));
+}
+
+function sessionCoversDate(session, dateStr) {
+  return session.startDate <= dateStr && (!session.endDate || dateStr <= session.endDate);
+}
+
+// Session whose date range contains the given day; with several, the one that started most recently
+function getSessionCoveringDate(sessions, dateStr) {
+  return (sessions || [])
+    .filter(s => sessionCoversDate(s, dateStr))
+    .sort((a, b) => b.startDate.localeCompare(a.startDate))[0] || null;
+}
+
+// Session used when none is named: the Alexa preset, otherwise the session covering today
+function getActiveSession(userData, today) {
+  const sessions = userData.sessions || [];
+  return sessions.find(s => s.isSelected === true) || getSessionCoveringDate(sessions, today);
+}
+
+// Resolve the session and date range used for session attendance: a named session,
+// then the Alexa preset, then the session covering today, then the current calendar year
+function resolveAttendanceSession(userData, sessionName = null) {
+  let startDate, endDate;
+  let sessionUsed = 'current session';
+  let session = null;
+  
+  const today = getFormattedDate(new Date(), userData.timeZone);
+  const sessions = userData.sessions || [];
+  const activeSession = getActiveSession(userData, today);
+  
+  // A session asked for by name wins over the active one
+  const namedSession = sessionName ? findSessionByIdentifier(sessions, sessionName) : null;
+  
+  if (namedSession) {
+    startDate = namedSession.startDate;
+    endDate = namedSession.endDate || today;
+    sessionUsed = namedSession.name;
+    session = namedSession;
+  } else if (activeSession) {
+    startDate = activeSession.startDate;
+    endDate = activeSession.endDate || today;
+    sessionUsed = activeSession.name || sessionUsed;
+    session = activeSession;
+  }
+  
+  if (!startDate || !endDate) {
+    const currentYear = today.substring(0, 4);
+    startDate = `${currentYear}-01-01`;
+    endDate = `${currentYear}-12-31`;
+    sessionUsed = 'current year';
+    session = null;
+  }
+  
+  return { session, startDate, endDate, sessionName: sessionUsed, today };
+}
+
+// Session attendance calculation for the active session, on that session's own calendar
+async function calculateSessionAttendance(uid, sessionName = null) {
+  const userData = await getUserData(uid);
+  const { session, startDate, endDate, sessionName: sessionUsed, today } = resolveAttendanceSession(userData, sessionName);
+  
+  // Iterate over YYYY-MM-DD strings so the host timezone never shifts a day
+  const dates = [];
+  for (let dateStr = startDate; dateStr <= endDate && dateStr <= today; dateStr = addDays(dateStr, 1)) {
+    dates.push(dateStr);
+  }
+  
+  const result = tallyAttendance(getSessionCalendar(userData, session), dates, getSessionSubjects(session));
+  
+  return {
+    ...result,
+    sessionName: sessionUsed
+  };
+}
+
+const DEFAULT_TARGET_PERCENTAGE = 75;
+
+function getTargetPercentage(session) {
+  return session && typeof session.targetPercentage === 'number'
+    ? session.targetPercentage
+    : DEFAULT_TARGET_PERCENTAGE;
+}
+
+// Work out how many more days can be missed while staying above the session target,
+// or how many consecutive days must be attended to get back above it
+async function calculateAttendancePlan(uid, sessionName = null) {
+  const userData = await getUserData(uid);
+  const { session, startDate, endDate, sessionName: sessionUsed, today } = resolveAttendanceSession(userData, sessionName);
+  const subjects = getSessionSubjects(session);
+  
+  const pastDates = [];
+  const remainingDates = [];
+  for (let dateStr = startDate; dateStr <= endDate; dateStr = addDays(dateStr, 1)) {
+    if (dateStr <= today) {
+      pastDates.push(dateStr);
+    } else {
+      remainingDates.push(dateStr);
+    }
+  }
+  
+  const calendar = getSessionCalendar(userData, session);
+  const current = tallyAttendance(calendar, pastDates, subjects);
+  const remainingDays = tallyAttendance(calendar, remainingDates, subjects).totalWorkingDays;
+  const target = getTargetPercentage(session);
+  const present = current.presentDays;
+  const total = current.totalWorkingDays;
+  
+  const plan = {
+    sessionName: sessionUsed,
+    targetPercentage: target,
+    percentage: current.percentage,
+    presentDays: present,
+    totalWorkingDays: total,
+    remainingDays,
+    usesSubjects: subjects.length > 0,
+    canMiss: 0,
+    mustAttend: 0,
+    reachable: true,
+    // Rounded down so an unreachable target is never reported as reached
+    bestPercentage: total + remainingDays > 0 ? Math.floor(((present + remainingDays) / (total + remainingDays)) * 100) : 0
+  };
+  
+  // Integer arithmetic on percentages avoids rounding errors like 0.7 * 10 > 7
+  if (present * 100 >= target * total) {
+    const neededFromRemaining = Math.max(Math.ceil((target * (total + remainingDays) - present * 100) / 100), 0);
+    plan.canMiss = Math.max(remainingDays - neededFromRemaining, 0);
   } else {
-    updatedSessions = [...sessions, sessionData];
+    plan.mustAttend = target >= 100 ? Infinity : Math.ceil((target * total - present * 100) / (100 - target));
+    plan.reachable = plan.mustAttend <= remainingDays;
   }
   
-  if (setAsPreset) {
-    updatedSessions = updatedSessions.map(session => ({
-      ...session,
-      isSelected: session.code === sessionCode
-    }));
+  return plan;
+}
+
+// Set the target percentage for a session
+async function setSessionTarget(uid, sessionCode, targetPercentage) {
+  const userData = await getUserData(uid);
+  const sessions = userData.sessions || [];
+  
+  if (!sessions.some(s => s.code === sessionCode)) {
+    return { success: false, error: 'Session not found' };
+  }
+  
+  const updatedSessions = sessions.map(s => 
+    s.code === sessionCode ? { ...s, targetPercentage } : s
+  );
+  
+  await updateUserData(uid, { sessions: updatedSessions });
+  return { success: true };
+}
+
+// Whole-day attendance: the day's record, or its subject marks when only subjects were marked
+function getDayAttendance(userData, dateStr, subjects) {
+  const records = userData.records || {};
+  if (records[dateStr] !== undefined) return records[dateStr] ? 'present' : 'absent';
+  
+  const marks = subjects
+    .map(subject => getSubjectRecords(userData, subject.name)[dateStr])
+    .filter(mark => mark !== undefined);
+  
+  if (marks.length === 0) return null;
+  return marks.includes(false) ? 'absent' : 'present';
+}
+
+// Streaks, weekday absences and a month-over-month comparison for one session.
+// Days that aren't counted (days off, holidays, not enrolled) neither extend nor break a streak,
+// and today doesn't break the current streak until it has been marked.
+function buildAttendanceInsights(userData, session, { startDate, endDate, sessionName, today }) {
+  const subjects = getSessionSubjects(session);
+  const calendar = getSessionCalendar(userData, session);
+  const lastDate = endDate < today ? endDate : today;
+  
+  const weekdays = DAY_NAMES.map(day => ({ day, countedDays: 0, absences: 0 }));
+  let longestStreak = { days: 0, startDate: null, endDate: null };
+  let run = { days: 0, startDate: null, endDate: null };
+  
+  for (let dateStr = startDate; dateStr <= lastDate; dateStr = addDays(dateStr, 1)) {
+    if (!isCountedDay(dateStr, calendar)) continue;
+    
+    const attendance = getDayAttendance(userData, dateStr, subjects);
+    if (dateStr === today && !attendance) continue;
+    
+    const weekday = weekdays[getDayOfWeek(dateStr)];
+    weekday.countedDays++;
+    
+    if (attendance === 'present') {
+      run = { days: run.days + 1, startDate: run.startDate || dateStr, endDate: dateStr };
+      if (run.days > longestStreak.days) longestStreak = run;
+    } else {
+      if (attendance === 'absent') weekday.absences++;
+      run = { days: 0, startDate: null, endDate: null };
+    }
+  }
+  
+  // Most absences first; ties go to the weekday missed most often relative to how often it came up
+  const mostMissedWeekday = weekdays
+    .filter(w => w.absences > 0)
+    .sort((a, b) => b.absences - a.absences || b.absences / b.countedDays - a.absences / a.countedDays)[0] || null;
+  
+  const thisMonth = today.substring(0, 7);
+  const lastMonth = addDays(`${thisMonth}-01`, -1).substring(0, 7);
+  const current = tallyAttendance(calendar, getMonthDates(thisMonth, today), subjects);
+  const previous = tallyAttendance(calendar, getMonthDates(lastMonth, today), subjects);
+  
+  return {
+    sessionName,
+    range: { from: startDate, to: lastDate },
+    currentStreak: run.days,
+    longestStreak,
+    mostMissedWeekday,
+    weekdays,
+    months: {
+      current: { yearMonth: thisMonth, percentage: current.percentage, presentDays: current.presentDays, totalWorkingDays: current.totalWorkingDays },
+      previous: { yearMonth: lastMonth, percentage: previous.percentage, presentDays: previous.presentDays, totalWorkingDays: previous.totalWorkingDays },
+      change: current.percentage - previous.percentage
+    }
+  };
+}
+
+// Insights for the selected session, or for the session with the given code; null if that session doesn't exist
+async function calculateAttendanceInsights(uid, sessionCode = null) {
+  const userData = await getUserData(uid);
+  
+  if (sessionCode) {
+    const session = (userData.sessions || []).find(s => s.code === sessionCode);
+    if (!session) return null;
+    
+    const today = getFormattedDate(new Date(), userData.timeZone);
+    return buildAttendanceInsights(userData, session, {
+      startDate: session.startDate,
+      endDate: session.endDate || today,
+      sessionName: session.name,
+      today
+    });
+  }
+  
+  const resolved = resolveAttendanceSession(userData);
+  return buildAttendanceInsights(userData, resolved.session, resolved);
+}
+
+// Longest stretch an export summary is tallied over, about ten years
+const MAX_EXPORT_DAYS = 3660;
+
+// Build the export of a user's attendance document, optionally limited to a date
+// range or to the range of one session (by code). Uses getUserData so the data
+// matches what the skill reads when answering by voice.
+async function buildAttendanceExport(uid, { from = null, to = null, sessionCode = null } = {}) {
+  const userData = await getUserData(uid);
+  let sessions = userData.sessions || [];
+  let session = null;
+  
+  if (sessionCode) {
+    session = sessions.find(s => s.code === sessionCode);
+    if (!session) return null;
+    from = from || session.startDate;
+    to = to || session.endDate;
+    sessions = [session];
+  }
+  
+  const inRange = date => (!from || date >= from) && (!to || date <= to);
+  
+  const records = {};
+  Object.entries(userData.records || {}).forEach(([date, present]) => {
+    if (inRange(date)) records[date] = present;
+  });
+  
+  const subjectRecords = {};
+  Object.entries(userData.subjectRecords || {}).forEach(([subject, subjectMarks]) => {
+    subjectRecords[subject] = {};
+    Object.entries(subjectMarks).forEach(([date, present]) => {
+      if (inRange(date)) subjectRecords[subject][date] = present;
+    });
+  });
+  
+  // Each date's holiday comes from the calendar that applies on it, so sessions with their own holidays are included
+  const holidays = [userData, ...(userData.sessions || [])]
+    .flatMap(source => source.holidays || [])
+    .filter(h => inRange(h.date) && (getCalendarForDate(userData, h.date).holidays || []).includes(h))
+    .sort((a, b) => a.date.localeCompare(b.date));
+  const notEnrolled = (userData.notEnrolled || []).filter(inRange);
+  const breaks = (userData.breaks || []).filter(b => (!from || b.endDate >= from) && (!to || b.startDate <= to));
+  
+  // Summary over the exported range, using the same rules as the voice answers. A session or the
+  // oldest record can reach further back than MAX_EXPORT_DAYS, so the summary stops there.
+  const today = getFormattedDate(new Date(), userData.timeZone);
+  const summaryTo = to && to < today ? to : today;
+  const earliestFrom = addDays(summaryTo, -(MAX_EXPORT_DAYS - 1));
+  const requestedFrom = from || Object.keys(records).sort()[0] || today;
+  const summaryFrom = requestedFrom < earliestFrom ? earliestFrom : requestedFrom;
+  const dates = [];
+  for (let dateStr = summaryFrom; dateStr <= summaryTo; dateStr = addDays(dateStr, 1)) {
+    dates.push(dateStr);
+  }
+  const summarySession = session || getSessionForDate(userData, today);
+  const summary = {
+    range: { from: summaryFrom, to: summaryTo },
+    ...tallyAttendance(getSessionCalendar(userData, summarySession), dates, getSessionSubjects(summarySession))
+  };
+  
+  return {
+    range: { from, to },
+    records,
+    subjectRecords,
+    holidays,
+    breaks,
+    notEnrolled,
+    sessions,
+    summary
+  };
+}
+
+// Flatten an export into one row per marked day, sorted by date. Breaks span several days,
+// so they are exported on their own by /api/breaks rather than as rows here.
+function getExportRows(exportData) {
+  const rows = [];
+  
+  Object.entries(exportData.records).forEach(([date, present]) => {
+    rows.push({ date, status: present ? 'present' : 'absent', name: '', subject: '' });
+  });
+  Object.entries(exportData.subjectRecords).forEach(([subject, subjectMarks]) => {
+    Object.entries(subjectMarks).forEach(([date, present]) => {
+      rows.push({ date, status: present ? 'present' : 'absent', name: '', subject });
+    });
+  });
+  exportData.holidays.forEach(h => {
+    rows.push({ date: h.date, status: 'holiday', name: h.name || '', subject: '' });
+  });
+  exportData.notEnrolled.forEach(date => {
+    rows.push({ date, status: 'not-enrolled', name: '', subject: '' });
+  });
+  
+  return rows.sort((a, b) => a.date.localeCompare(b.date) || a.subject.localeCompare(b.subject));
+}
+
+function toCsv(rows, columns) {
+  const escape = value => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  
+  const lines = [columns.join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => escape(row[column])).join(','));
+  });
+  
+  return lines.join('\n') + '\n';
+}
+
+// Split one CSV line into fields, honouring double-quoted fields
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let inQuotes = false;
+  
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  
+  return fields;
+}
+
+// Parse date,status,name rows (header optional) into import rows
+function parseImportCsv(text) {
+  const rows = [];
+  
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) return;
+    
+    const [date, status, name] = parseCsvLine(line);
+    if (index === 0 && date.toLowerCase() === 'date') return;
+    
+    rows.push({ line: index + 1, date, status: normalizeStatus(status), rawStatus: status, name: name || null });
+  });
+  
+  return rows;
+}
+
+// Longest event an iCalendar import expands into holiday rows
+const MAX_IMPORT_EVENT_DAYS = 366;
+
+// Parse the VEVENTs of an iCalendar file into holiday rows, one per day.
+// All-day DTEND is exclusive, so a Oct 20 - Oct 28 event covers Oct 20 to Oct 27; a timed
+// DTEND covers its own day unless it is exactly midnight. Recurring events (RRULE) and events
+// longer than MAX_IMPORT_EVENT_DAYS come back as a single invalid row.
+function parseImportIcs(text) {
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const rows = [];
+  let event = null;
+  let eventCount = 0;
+  
+  const toDate = value => {
+    const match = (value || '').match(/^(\d{4})(\d{2})(\d{2})/);
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+  };
+  
+  lines.forEach(line => {
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+      eventCount++;
+      return;
+    }
+    if (!event) return;
+    
+    if (line === 'END:VEVENT') {
+      const start = toDate(event.DTSTART);
+      const name = (event.SUMMARY || 'Holiday').replace(/\\([,;\\])/g, '$1');
+      const invalid = error => rows.push({ line: `event ${eventCount}`, date: start || event.DTSTART || '', status: 'holiday', rawStatus: 'holiday', name, error });
+      
+      let end = start;
+      if (start && event.DTEND && toDate(event.DTEND)) {
+        const isTimed = /^\d{8}T/.test(event.DTEND);
+        const endsAtMidnight = /^\d{8}T000000/.test(event.DTEND);
+        end = !isTimed || endsAtMidnight ? addDays(toDate(event.DTEND), -1) : toDate(event.DTEND);
+        if (end < start) end = start;
+      }
+      
+      if (!start) {
+        invalid(null);
+      } else if (event.RRULE) {
+        invalid('Recurring events are not supported');
+      } else if (getDaysBetween(start, end) >= MAX_IMPORT_EVENT_DAYS) {
+        invalid(`Events can cover at most ${MAX_IMPORT_EVENT_DAYS} days`);
+      } else {
+        for (let date = start; date <= end; date = addDays(date, 1)) {
+          rows.push({ line: `event ${eventCount}`, date, status: 'holiday', rawStatus: 'holiday', name });
+        }
+      }
+      event = null;
+      return;
+    }
+    
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+    const key = line.substring(0, separator).split(';')[0].toUpperCase();
+    event[key] = line.substring(separator + 1);
+  });
+  
+  return rows;
+}
+
+// Validate import rows against the attendance document and apply the valid ones in
+// a single write. Returns a per-row report of what was applied, skipped or conflicted.
+async function importDayStatuses(uid, rows, { overwrite = false } = {}) {
+  const userData = await getUserData(uid);
+  const seen = new Set();
+  const changes = [];
+  
+  const report = rows.map(row => {
+    const entry = { line: row.line, date: row.date, status: row.status || row.rawStatus || null, name: row.name };
+    
+    if (row.error) {
+      return { ...entry, result: 'invalid', reason: row.error };
+    }
+    if (!isValidCalendarDate(row.date)) {
+      return { ...entry, result: 'invalid', reason: 'Date must be YYYY-MM-DD' };
+    }
+    if (!row.status) {
+      return { ...entry, result: 'invalid', reason: 'Status must be present, absent, holiday or not-enrolled' };
+    }
+    if (seen.has(row.date)) {
+      return { ...entry, result: 'conflict', reason: 'Date appears more than once in the file' };
+    }
+    seen.add(row.date);
+    
+    if (isNonWorkingDay(row.date, getCalendarForDate(userData, row.date))) {
+      return { ...entry, result: 'skipped', reason: 'Non-working day' };
+    }
+    
+    const existingStatus = getDayStatusFromData(userData, row.date);
+    const oldStatus = existingStatus && (existingStatus.status || existingStatus);
+    
+    if (oldStatus === row.status && (row.status !== 'holiday' || !row.name || existingStatus.name === row.name)) {
+      return { ...entry, result: 'skipped', reason: 'Already marked' };
+    }
+    if (oldStatus && !overwrite) {
+      return { ...entry, result: 'conflict', reason: `Already marked as ${oldStatus}`, existingStatus: oldStatus };
+    }
+    
+    changes.push({ date: row.date, status: row.status, holidayName: row.name });
+    return { ...entry, result: 'applied', ...(oldStatus ? { previousStatus: oldStatus } : {}) };
+  });
+  
+  if (changes.length > 0) {
+    await setDayStatusChanges(uid, changes);
+  }
+  
+  const count = result => report.filter(r => r.result === result).length;
+  
+  return {
+    applied: count('applied'),
+    skipped: count('skipped'),
+    conflicts: count('conflict'),
+    invalid: count('invalid'),
+    rows: report
+  };
+}
+
+// Daily reminders: preferences live on the attendance document under `reminder`
+// ({ time, days, alertToken, timeZone }) so they survive account re-linking
+const REMINDER_PERMISSION = 'alexa::alerts:reminders:skill:readwrite';
+const TIME_OF_DAY_DEFAULTS = { MO: '09:00', AF: '14:00', EV: '19:00', NI: '21:00' };
+
+// Weekdays (0 = Sunday .. 6 = Saturday) that aren't weekly days off in the active session's calendar.
+// Calendar rules and breaks are left out: a weekly reminder can't skip only the second Saturday,
+// so it still fires on days they close.
+function getWorkingWeekdays(userData, today) {
+  const daysOff = getWeeklyDaysOff(getSessionCalendar(userData, getActiveSession(userData, today)));
+  return [0, 1, 2, 3, 4, 5, 6].filter(day => !daysOff.includes(day));
+}
+
+// Said when a rule or break closes days an existing reminder will still fire on
+const REMINDER_CLOSURE_NOTE = ' Your attendance reminder can\'t skip single days, so it will still go off on them.';
+
+// Normalize an AMAZON.TIME value ("09:30", "MO", "EV") to HH:MM, or null
+function normalizeReminderTime(value) {
+  if (!value) return null;
+  if (TIME_OF_DAY_DEFAULTS[value]) return TIME_OF_DAY_DEFAULTS[value];
+  return /^\d{2}:\d{2}$/.test(value) ? value : null;
+}
+
+function formatSpokenTime(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  const suffix = hours < 12 ? 'AM' : 'PM';
+  const displayHours = hours % 12 === 0 ? 12 : hours % 12;
+  return `${displayHours}:${String(minutes).padStart(2, '0')} ${suffix}`;
+}
+
+function describeWeekdays(days) {
+  if (days.length === 7) return 'every day';
+  return joinSpokenList(days.map(day => capitalize(DAY_NAMES[day]) + 's'));
+}
+
+function buildAttendanceReminder(time, weekdays, timeZone, locale, today) {
+  const [hours, minutes] = time.split(':').map(Number);
+  const byDay = weekdays.map(day => DAY_NAMES[day].substring(0, 2).toUpperCase()).join(',');
+  
+  const trigger = {
+    type: 'SCHEDULED_ABSOLUTE',
+    recurrence: {
+      startDateTime: `${today}T00:00:00.000`,
+      recurrenceRules: [`FREQ=WEEKLY;BYDAY=${byDay};BYHOUR=${hours};BYMINUTE=${minutes};BYSECOND=0;INTERVAL=1`]
+    }
+  };
+  if (timeZone) {
+    trigger.timeZoneId = timeZone;
+  }
+  
+  return {
+    requestTime: new Date().toISOString(),
+    trigger,
+    alertInfo: {
+      spokenInfo: {
+        content: [{
+          locale,
+          text: 'Time to mark your attendance. Just open Attendance Tracker and say mark present or mark absent.'
+        }]
+      }
+    },
+    pushNotification: {
+      status: 'ENABLED'
+    }
+  };
+}
+
+async function getReminderPreferences(uid) {
+  const userData = await getUserData(uid);
+  return userData.reminder || null;
+}
+
+async function saveReminderPreferences(uid, reminder) {
+  await updateUserData(uid, {
+    reminder: reminder ? { ...reminder, updatedAt: new Date().toISOString() } : null
+  });
+}
+
+function hasReminderPermission(handlerInput) {
+  const permissions = handlerInput.requestEnvelope.context.System.user.permissions;
+  return !!(permissions && permissions.consentToken);
+}
+
+// Update the existing reminder in place, or create one, and store the preferences
+async function scheduleAttendanceReminder(handlerInput, uid, existing, { time, weekdays, timeZone }) {
+  const today = getFormattedDate(new Date(), timeZone);
+  const reminderRequest = buildAttendanceReminder(time, weekdays, timeZone, Alexa.getLocale(handlerInput.requestEnvelope), today);
+  const reminderClient = handlerInput.serviceClientFactory.getReminderManagementServiceClient();
+  
+  let alertToken;
+  
+  if (existing && existing.alertToken) {
+    try {
+      await reminderClient.updateReminder(existing.alertToken, reminderRequest);
+      alertToken = existing.alertToken;
+    } catch (error) {
+      if (isPermissionError(error)) throw error;
+      // The reminder was removed from the Alexa app, so create a new one
+      console.log('Could not update reminder, creating a new one:', error.message);
+    }
+  }
+  
+  if (!alertToken) {
+    const response = await reminderClient.createReminder(reminderRequest);
+    alertToken = response.alertToken;
+  }
+  
+  await saveReminderPreferences(uid, { time, days: weekdays, alertToken, timeZone });
+}
+
+// Move an existing reminder onto the working weekdays after the days off changed.
+// Returns a sentence to add to the days off answer, or '' when nothing changed.
+async function rescheduleReminderForDaysOff(handlerInput, uid) {
+  const userData = await getUserData(uid);
+  const reminder = userData.reminder;
+  if (!reminder) return '';
+  
+  const timeZone = reminder.timeZone || userData.timeZone || null;
+  const weekdays = getWorkingWeekdays(userData, getFormattedDate(new Date(), timeZone));
+  if (weekdays.join(',') === (reminder.days || []).join(',')) return '';
+  
+  const staleNotice = ` Your attendance reminder still goes off on ${describeWeekdays(reminder.days || [])}. Say "remind me to mark attendance at ${formatSpokenTime(reminder.time)}" to move it to your new working days.`;
+  if (!hasReminderPermission(handlerInput)) return staleNotice;
+  
+  try {
+    await scheduleAttendanceReminder(handlerInput, uid, reminder, { time: reminder.time, weekdays, timeZone });
+    return ` I've moved your attendance reminder to ${describeWeekdays(weekdays)}.`;
+  } catch (error) {
+    console.log('Could not reschedule reminder:', error.message);
+    return staleNotice;
+  }
+}
+
+function requireReminderPermission(handlerInput) {
+  return handlerInput.responseBuilder
+    .speak('To remind you to mark attendance, I need permission to set reminders. I sent a card to your Alexa app where you can allow it.')
+    .withAskForPermissionsConsentCard([REMINDER_PERMISSION])
+    .getResponse();
+}
+
+function isPermissionError(error) {
+  return error && (error.statusCode === 401 || error.statusCode === 403);
+}
+
+const NUMBER_WORDS = {
+  zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+  seventeen: 17, eighteen: 18, nineteen: 19,
+  first: 1, second: 2, third: 3, fourth: 4, fifth: 5, sixth: 6, seventh: 7, eighth: 8, ninth: 9, tenth: 10
+};
+const TENS_WORDS = { twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90 };
+const SESSION_WORD_ALIASES = { semester: 'sem' };
+
+// Normalize a spoken or typed session name for comparison: lowercase words, number words
+// as digits ("twenty twenty five" -> "2025"), punctuation dropped and common words shortened
+function normalizeSessionText(text) {
+  const words = String(text || '').toLowerCase()
+    .replace(/(\d)(st|nd|rd|th)\b/g, '$1')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean)
+    .map(word => SESSION_WORD_ALIASES[word] || word);
+  
+  const tokens = [];
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i];
+    if (TENS_WORDS[word] !== undefined) {
+      const unit = NUMBER_WORDS[words[i + 1]];
+      if (unit !== undefined && unit < 10) {
+        tokens.push(String(TENS_WORDS[word] + unit));
+        i++;
+      } else {
+        tokens.push(String(TENS_WORDS[word]));
+      }
+    } else if (NUMBER_WORDS[word] !== undefined) {
+      tokens.push(String(NUMBER_WORDS[word]));
+    } else {
+      tokens.push(word);
+    }
+  }
+  
+  // Years are spoken in pairs: "20 25" -> "2025"
+  const merged = [];
+  tokens.forEach(token => {
+    const previous = merged[merged.length - 1];
+    if (/^\d{2}$/.test(token) && (previous === '19' || previous === '20')) {
+      merged[merged.length - 1] = previous + token;
+    } else {
+      merged.push(token);
+    }
+  });
+  
+  return merged.join(' ');
+}
+
+function getEditDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  
+  return previous[b.length];
+}
+
+// Similarity from 0 to 1 between what was heard and a session. Spaces are ignored so a
+// spelled-out code ("s p r i n g 1 2 a b") compares equal to the code itself.
+function getSessionSimilarity(session, query) {
+  const heard = normalizeSessionText(query).replace(/ /g, '');
+  if (!heard) return 0;
+  
+  const candidates = [normalizeSessionText(session.name).replace(/ /g, ''), String(session.code || '').toLowerCase()];
+  
+  return Math.max(...candidates.filter(Boolean).map(candidate => 
+    1 - getEditDistance(heard, candidate) / Math.max(heard.length, candidate.length)
+  ));
+}
+
+const SESSION_MATCH_THRESHOLD = 0.6;
+const SESSION_CONFIDENT_MATCH = 0.85;
+const SESSION_MATCH_MARGIN = 0.15;
+
+// Sessions that resemble the query, best first
+function rankSessionMatches(sessions, query) {
+  return (sessions || [])
+    .map(session => ({ session, score: getSessionSimilarity(session, query) }))
+    .filter(match => match.score >= SESSION_MATCH_THRESHOLD)
+    .sort((a, b) => b.score - a.score);
+}
+
+// Resolve what the user said to a session. Returns { session } for an exact code or name, or for a
+// fuzzy match that is clearly better than the rest, otherwise { session: null, candidates } with the
+// close matches to ask about (empty when nothing is close).
+function resolveSessionQuery(sessions, query) {
+  const exact = (sessions || []).filter(s => isExactSessionMatch(s, query));
+  if (exact.length === 1) return { session: exact[0], candidates: exact };
+  if (exact.length > 1) return { session: null, candidates: exact };
+  
+  const matches = rankSessionMatches(sessions, query);
+  if (matches.length === 0) return { session: null, candidates: [] };
+  
+  // Names that only differ by a number ("Sem 3" and "Sem 4") score close together,
+  // so the only one matching exactly after normalization wins outright
+  const [best, next] = matches;
+  const onlyExact = best.score === 1 && (!next || next.score < 1);
+  if (onlyExact || (best.score >= SESSION_CONFIDENT_MATCH && (!next || best.score - next.score >= SESSION_MATCH_MARGIN))) {
+    return { session: best.session, candidates: [best.session] };
+  }
+  
+  return { session: null, candidates: matches.filter(m => best.score - m.score < SESSION_MATCH_MARGIN).slice(0, 3).map(m => m.session) };
+}
+
+// Whether the user gave the session's code or name exactly, rather than it being matched fuzzily
+function isExactSessionMatch(session, query) {
+  return Boolean(session) && (
+    session.code === query || 
+    (Boolean(session.name) && session.name.toLowerCase() === String(query).toLowerCase())
+  );
+}
+
+// Find a session by its code or name, allowing for transcription differences when one match clearly wins
+function findSessionByIdentifier(sessions, sessionIdentifier) {
+  return resolveSessionQuery(sessions, sessionIdentifier).session;
+}
+
+// Set selected session (store in sessions array with isSelected: true)
+async function setAlexaPresetSession(uid, sessionIdentifier) {
+  const userData = await getUserData(uid);
+  if (!userData.sessions || userData.sessions.length === 0) {
+    return { success: false, error: 'No sessions found' };
+  }
+  
+  const found = findSessionByIdentifier(userData.sessions, sessionIdentifier);
+  
+  if (!found) return { success: false, error: 'Session not found' };
+  
+  const sessions = userData.sessions.map(session => ({
+    ...session,
+    isSelected: session.code === found.code
+  }));
+  
+  await updateUserData(uid, { sessions });
+  return { success: true, session: found };
+}
+
+// Get selected session
+async function getAlexaPresetSession(uid) {
+  const userData = await getUserData(uid);
+  const sessions = userData.sessions || [];
+  return sessions.find(s => s.isSelected === true) || null;
+}
+
+// Clear selected session
+async function clearAlexaPresetSession(uid) {
+  const userData = await getUserData(uid);
+  const sessions = userData.sessions || [];
+  
+  const updatedSessions = sessions.map(session => ({
+    ...session,
+    isSelected: false
+  }));
+  
+  await updateUserData(uid, { sessions: updatedSessions });
+  return { success: true };
+}
+
+// Sessions whose dates overlap the given range. An open-ended session (no end date) runs forever.
+function findOverlappingSessions(sessions, startDate, endDate, excludeName = null) {
+  return (sessions || []).filter(s => 
+    (!excludeName || s.name.toLowerCase() !== excludeName.toLowerCase()) &&
+    s.startDate <= endDate &&
+    (!s.endDate || s.endDate >= startDate)
+  );
+}
+
+// Problems with a new session's range: an inverted range is an error, overlapping sessions only a warning
+function validateSessionRange(sessions, sessionName, startDate, endDate) {
+  if (endDate < startDate) {
+    return { error: 'End date before start date', overlaps: [] };
+  }
+  
+  return { error: null, overlaps: findOverlappingSessions(sessions, startDate, endDate, sessionName) };
+}
+
+// Save session (stores in sessions array, can set as selected)
+async function saveSession(uid, sessionName, startDate, endDate, setAsPreset = false, subjects = null) {
+  const userData = await getUserData(uid);
+  const sessions = userData.sessions || [];
+  
+  if (endDate && endDate < startDate) {
+    throw new Error(`Session ${sessionName} ends on ${endDate}, before it starts on ${startDate}`);
+  }
+  
+  const sessionCode = generateSessionCode(sessionName);
+  
+  const sessionData = {
+    name: sessionName,
+    code: sessionCode,
+    startDate,
+    endDate,
+    createdAt: new Date().toISOString(),
+    isSelected: setAsPreset,
+    subjects: subjects || []
+  };
+  
+  const existingIndex = sessions.findIndex(s => 
+    s.name.toLowerCase() === sessionName.toLowerCase() || 
+    s.code === sessionCode
+  );
+  
+  // Keep the subjects of a session that is being recreated unless new ones are given
+  if (!subjects && existingIndex !== -1) {
+    sessionData.subjects = getSessionSubjects(sessions[existingIndex]);
+  }
+  
+  let updatedSessions;
+  if (existingIndex !== -1) {
+    updatedSessions = [...sessions];
+    updatedSessions[existingIndex] = sessionData;
+  } else {
+    updatedSessions = [...sessions, sessionData];
+  }
+  
+  if (setAsPreset) {
+    updatedSessions = updatedSessions.map(session => ({
+      ...session,
+      isSelected: session.code === sessionCode
+    }));
+  }
+  
+  updatedSessions.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  
+  await updateUserData(uid, { sessions: updatedSessions });
+  
+  return sessionData;
+}
+
+// Rename a session, keeping its code so stored references to it stay valid
+async function renameSession(uid, sessionIdentifier, newName) {
+  const userData = await getUserData(uid);
+  const sessions = userData.sessions || [];
+  
+  const found = findSessionByIdentifier(sessions, sessionIdentifier);
+  if (!found) return { success: false, error: 'Session not found' };
+  
+  const clash = sessions.find(s => s.code !== found.code && s.name.toLowerCase() === newName.toLowerCase());
+  if (clash) return { success: false, error: 'Name already used', session: clash };
+  
+  const updatedSessions = sessions.map(s => 
+    s.code === found.code ? { ...s, name: newName } : s
+  );
+  
+  await updateUserData(uid, { sessions: updatedSessions });
+  return { success: true, session: { ...found, name: newName }, oldName: found.name };
+}
+
+// Change a session's start and/or end date
+async function updateSessionDates(uid, sessionIdentifier, { startDate = null, endDate = null } = {}) {
+  const userData = await getUserData(uid);
+  const sessions = userData.sessions || [];
+  
+  const found = findSessionByIdentifier(sessions, sessionIdentifier);
+  if (!found) return { success: false, error: 'Session not found' };
+  
+  const updated = {
+    ...found,
+    startDate: startDate || found.startDate,
+    endDate: endDate || found.endDate
+  };
+  
+  if (updated.endDate && updated.endDate < updated.startDate) {
+    return { success: false, error: 'End date before start date', session: updated };
+  }
+  
+  const updatedSessions = sessions.map(s => s.code === found.code ? updated : s);
+  const overlaps = findOverlappingSessions(sessions.filter(s => s.code !== found.code), updated.startDate, updated.endDate || updated.startDate);
+  
+  await updateUserData(uid, { sessions: updatedSessions });
+  return { success: true, session: updated, overlaps };
+}
+
+// Delete a session. Attendance records are kept, since they belong to days rather than sessions.
+// Deleting the selected session leaves no session selected rather than guessing a replacement.
+async function deleteSession(uid, sessionIdentifier) {
+  const userData = await getUserData(uid);
+  const sessions = userData.sessions || [];
+  
+  const found = findSessionByIdentifier(sessions, sessionIdentifier);
+  if (!found) return { success: false, error: 'Session not found' };
+  
+  const updatedSessions = sessions.filter(s => s.code !== found.code);
+  
+  await updateUserData(uid, { sessions: updatedSessions });
+  return { success: true, session: found, wasSelected: found.isSelected === true, remainingSessions: updatedSessions };
+}
+
+// Weekly days off as stored: Sunday is kept as the sundayOff setting
+function toStoredDaysOff(days) {
+  const uniqueDays = [...new Set(days)].sort((a, b) => a - b);
+  return { weeklyDaysOff: uniqueDays.filter(day => day !== 0), sundayOff: uniqueDays.includes(0) };
+}
+
+// Replace the user-level weekly days off. Sessions that have already ended keep the days off
+// they ran with, so their percentages don't change after the fact.
+async function saveWeeklyDaysOff(uid, days) {
+  const userData = await getUserData(uid);
+  const today = getFormattedDate(new Date(), userData.timeZone);
+  const previous = toStoredDaysOff(getWeeklyDaysOff(userData));
+  
+  const sessions = (userData.sessions || []).map(session =>
+    session.endDate && session.endDate < today && !hasOwnDaysOff(session) ? { ...session, ...previous } : session
+  );
+  
+  await updateUserData(uid, { ...toStoredDaysOff(days), sessions });
+  return [...new Set(days)].sort((a, b) => a - b);
+}
+
+// Replace the weekly days off of one session, leaving the user-level defaults alone
+async function saveSessionDaysOff(uid, sessionCode, days) {
+  const userData = await getUserData(uid);
+  const sessions = (userData.sessions || []).map(session =>
+    session.code === sessionCode ? { ...session, ...toStoredDaysOff(days) } : session
+  );
+  
+  await updateUserData(uid, { sessions });
+  return [...new Set(days)].sort((a, b) => a - b);
+}
+
+// Give a session its own holiday list, seeded with the user-level holidays in its range.
+// Returns the updated session, or null when it already has one.
+async function saveSessionHolidays(uid, sessionCode) {
+  const userData = await getUserData(uid);
+  const session = (userData.sessions || []).find(s => s.code === sessionCode);
+  if (!session || Array.isArray(session.holidays)) return null;
+  
+  const updated = {
+    ...session,
+    holidays: (userData.holidays || []).filter(h => h.date >= session.startDate && (!session.endDate || h.date <= session.endDate))
+  };
+  
+  await updateUserData(uid, { sessions: userData.sessions.map(s => s.code === sessionCode ? updated : s) });
+  return updated;
+}
+
+async function addCalendarRule(uid, rule) {
+  const userData = await getUserData(uid);
+  const calendarRules = [...(userData.calendarRules || []), rule];
+  
+  await updateUserData(uid, { calendarRules });
+  return calendarRules;
+}
+
+async function clearCalendarRules(uid) {
+  await updateUserData(uid, { calendarRules: [] });
+}
+
+// Remove the calendar rules for a weekday, or with weeks only those weeks of its nth-weekday rules.
+// Returns what was removed, as rules, so it can be described.
+async function removeCalendarRules(uid, weekday, weeks = []) {
+  const userData = await getUserData(uid);
+  const removed = [];
+  
+  const calendarRules = (userData.calendarRules || []).flatMap(rule => {
+    if (rule.weekday !== weekday) return [rule];
+    
+    if (weeks.length === 0) {
+      removed.push(rule);
+      return [];
+    }
+    
+    if (rule.type !== 'nthWeekday' || !rule.weeks.some(week => weeks.includes(week))) return [rule];
+    
+    removed.push({ ...rule, weeks: rule.weeks.filter(week => weeks.includes(week)) });
+    const remaining = rule.weeks.filter(week => !weeks.includes(week));
+    return remaining.length > 0 ? [{ ...rule, weeks: remaining }] : [];
+  });
+  
+  if (removed.length > 0) {
+    await updateUserData(uid, { calendarRules });
+  }
+  return removed;
+}
+
+async function addBreak(uid, name, startDate, endDate) {
+  const userData = await getUserData(uid);
+  const breakEntry = { id: generateSessionCode(name), name, startDate, endDate };
+  const breaks = [...(userData.breaks || []), breakEntry]
+    .sort((a, b) => a.startDate.localeCompare(b.startDate));
+  
+  await updateUserData(uid, { breaks });
+  return breakEntry;
+}
+
+async function deleteBreak(uid, breakId) {
+  const userData = await getUserData(uid);
+  const breaks = (userData.breaks || []).filter(b => b.id !== breakId);
+  
+  await updateUserData(uid, { breaks });
+}
+
+// Get available sessions
+async function getAvailableSessions(uid) {
+  const userData = await getUserData(uid);
+  return userData.sessions || [];
+}
+
+function hasSubjectBreakdown(result) {
+  const subjects = result.subjects || [];
+  return subjects.length > 1 || (subjects.length === 1 && subjects[0].name !== DEFAULT_SUBJECT);
+}
+
+// Unmarked days still count against the percentage, so call them out instead of letting them pass as absences
+function describeUnmarkedCount(result) {
+  if (!result.unmarkedDays) return '';
+  
+  const days = result.unmarkedDays === 1 ? '1 working day is' : `${result.unmarkedDays} working days are`;
+  return ` ${days} still unmarked and counted as missed. Say "fill in my missing days" to record them.`;
+}
+
+// Speech for the per-subject part of an attendance result, empty for single-track users
+function describeSubjectBreakdown(result) {
+  if (!hasSubjectBreakdown(result)) return '';
+  
+  const parts = result.subjects.map(s => `${s.name} ${s.percentage} percent`);
+  return ` By subject: ${parts.join(', ')}.`;
+}
+
+// ECHO SHOW MONTH CALENDAR (APL)
+const MONTH_CALENDAR_TOKEN = 'monthCalendar';
+const CALENDAR_TOGGLE_EVENT = 'toggleDay';
+
+// Tapping a day cycles it through these statuses; 'clear' removes the mark
+const CALENDAR_TAP_CYCLE = {
+  unmarked: 'present',
+  future: 'present',
+  present: 'absent',
+  absent: 'holiday',
+  holiday: 'clear',
+  'not-enrolled': 'clear'
+};
+
+const CALENDAR_COLORS = {
+  present: '#2E7D32',
+  absent: '#C62828',
+  holiday: '#F9A825',
+  'not-enrolled': '#6A1B9A',
+  'non-working': '#424242',
+  unmarked: '#1F2933',
+  future: 'transparent',
+  blank: 'transparent',
+  header: 'transparent'
+};
+
+const MONTH_CALENDAR_DOCUMENT = {
+  type: 'APL',
+  version: '2023.2',
+  mainTemplate: {
+    parameters: ['payload'],
+    items: [{
+      type: 'Container',
+      width: '100vw',
+      height: '100vh',
+      paddingLeft: '4vw',
+      paddingRight: '4vw',
+      paddingTop: '3vh',
+      items: [
+        {
+          type: 'Text',
+          text: '${payload.calendar.title}',
+          fontSize: '36dp',
+          fontWeight: 'bold'
+        },
+        {
+          type: 'Text',
+          text: '${payload.calendar.summary}',
+          fontSize: '24dp',
+          paddingBottom: '12dp'
+        },
+        {
+          type: 'GridSequence',
+          grow: 1,
+          width: '92vw',
+          childWidth: '13.1vw',
+          childHeight: '9vh',
+          data: '${payload.calendar.cells}',
+          items: [{
+            type: 'TouchWrapper',
+            width: '100%',
+            height: '100%',
+            disabled: '${!data.editable}',
+            onPress: {
+              type: 'SendEvent',
+              arguments: [CALENDAR_TOGGLE_EVENT, '${data.date}', '${payload.calendar.yearMonth}']
+            },
+            items: [{
+              type: 'Frame',
+              width: '100%',
+              height: '100%',
+              borderWidth: '${data.borderWidth}',
+              borderColor: '#52606D',
+              backgroundColor: '${data.color}',
+              items: [{
+                type: 'Text',
+                width: '100%',
+                height: '100%',
+                text: '${data.label}',
+                textAlign: 'center',
+                textAlignVertical: 'center',
+                fontSize: '${data.fontSize}',
+                color: '${data.textColor}'
+              }]
+            }]
+          }]
+        },
+        {
+          type: 'Text',
+          text: '${payload.calendar.legend}',
+          fontSize: '18dp',
+          paddingBottom: '2vh'
+        }
+      ]
+    }]
+  }
+};
+
+function supportsAPL(handlerInput) {
+  const supportedInterfaces = Alexa.getSupportedInterfaces(handlerInput.requestEnvelope);
+  return !!supportedInterfaces['Alexa.Presentation.APL'];
+}
+
+// Status of each day in a month, as shown on the calendar
+function getCalendarDayStatus(userData, dateStr, today) {
+  const dayStatus = getDayStatusFromData(userData, dateStr);
+  if (dayStatus) return dayStatus.status || dayStatus;
+  if (isNonWorkingDay(dateStr, getCalendarForDate(userData, dateStr))) return 'non-working';
+  return dateStr > today ? 'future' : 'unmarked';
+}
+
+// Data source for the month calendar: weekday headers, leading blanks, then one cell per day
+function buildCalendarCell(status, label, date = null) {
+  return {
+    date,
+    status,
+    label,
+    color: CALENDAR_COLORS[status],
+    editable: !!CALENDAR_TAP_CYCLE[status],
+    borderWidth: status === 'unmarked' ? 2 : 0,
+    fontSize: status === 'header' ? '18dp' : '24dp',
+    textColor: status === 'future' ? '#7B8794' : '#FFFFFF'
+  };
+}
+
+function buildMonthCalendarData(userData, yearMonth, monthName, result) {
+  const [year, month] = yearMonth.split('-').map(Number);
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const today = getFormattedDate(new Date(), userData.timeZone);
+  const firstDay = `${yearMonth}-01`;
+  
+  const cells = DAY_NAMES.map(name => buildCalendarCell('header', capitalize(name.substring(0, 3))));
+  
+  for (let i = 0; i < getDayOfWeek(firstDay); i++) {
+    cells.push(buildCalendarCell('blank', ''));
+  }
+  
+  for (let day = 1; day <= daysInMonth; day++) {
+    const dateStr = `${yearMonth}-${String(day).padStart(2, '0')}`;
+    const status = getCalendarDayStatus(userData, dateStr, today);
+    cells.push(buildCalendarCell(status, String(day), dateStr));
+  }
+  
+  return {
+    calendar: {
+      title: monthName,
+      yearMonth,
+      summary: `${result.percentage}% attendance · ${result.presentDays} of ${result.totalWorkingDays} present`,
+      legend: 'Green present · Red absent · Yellow holiday · Purple not enrolled · Grey day off · Tap a day to change it',
+      cells
+    }
+  };
+}
+
+function addMonthCalendarDirective(handlerInput, datasources) {
+  handlerInput.responseBuilder.addDirective({
+    type: 'Alexa.Presentation.APL.RenderDocument',
+    token: MONTH_CALENDAR_TOKEN,
+    document: MONTH_CALENDAR_DOCUMENT,
+    datasources: { payload: datasources }
+  });
+}
+
+// Shared flow for marking a single subject present or absent on a day
+async function markSubjectStatus(handlerInput, uid, userData, date, subjectName, status) {
+  const session = getSessionForDate(userData, date);
+  const subject = findSubject(session, subjectName);
+  const dayLabel = describeDate(date, userData.timeZone);
+  const onDay = dayLabel === 'today' ? 'today' : `on ${dayLabel}`;
+  
+  if (!subject) {
+    const subjects = getSessionSubjects(session);
+    const speechText = subjects.length > 0
+      ? `I couldn't find ${subjectName} in ${session.name}. Your subjects are: ${subjects.map(s => s.name).join(', ')}.`
+      : `You don't have any subjects set up yet. You can add one by saying "add subject ${subjectName}".`;
+    
+    return handlerInput.responseBuilder
+      .speak(speechText)
+      .getResponse();
+  }
+  
+  const dayStatus = getDayStatusFromData(userData, date);
+  const dayStatusName = dayStatus && (dayStatus.status || dayStatus);
+  if (dayStatusName === 'holiday' || dayStatusName === 'not-enrolled') {
+    return handlerInput.responseBuilder
+      .speak(`${capitalize(dayLabel)} is marked as ${dayStatusName.replace('-', ' ')}, so there are no classes to mark.`)
+      .getResponse();
+  }
+  
+  if (!isSubjectScheduled(subject, date)) {
+    return handlerInput.responseBuilder
+      .speak(`${subject.name} is not on your timetable on ${capitalize(DAY_NAMES[getDayOfWeek(date)])}s.`)
+      .getResponse();
+  }
+  
+  const existingStatus = getSubjectStatusFromData(userData, date, subject.name);
+  
+  if (existingStatus === status) {
+    return handlerInput.responseBuilder
+      .speak(`${subject.name} is already marked as ${status} ${onDay}.`)
+      .getResponse();
+  }
+  
+  if (existingStatus) {
+    setPendingState(handlerInput, 'pendingStatusChange', {
+      date,
+      newStatus: status,
+      oldStatus: existingStatus,
+      subject: subject.name
+    });
+    
+    return handlerInput.responseBuilder
+      .speak(`${subject.name} is currently marked as ${existingStatus} ${onDay}. Would you like to change it to ${status}?`)
+      .reprompt(`Should I change ${subject.name} ${onDay} to ${status}?`)
+      .getResponse();
+  }
+  
+  await setSubjectStatus(uid, date, subject.name, status);
+  
+  return handlerInput.responseBuilder
+    .speak(`Successfully marked as ${status} for ${subject.name} ${onDay}.`)
+    .getResponse();
+}
+
+// ALL INTENT HANDLERS - FIXED WITH PROPER ASYNC/AWAIT
+
+// Launch notice when the Alexa preset session is over, since it keeps overriding the session covering today
+function describeEndedPreset(userData, today) {
+  const sessions = userData.sessions || [];
+  const preset = sessions.find(s => s.isSelected === true);
+  if (!preset || !preset.endDate || preset.endDate >= today) return null;
+  
+  const notice = `Your Alexa preset session, ${preset.name}, ended on ${formatAlexaDate(preset.endDate)}.`;
+  const current = getSessionCoveringDate(sessions, today);
+  
+  if (current) {
+    return `${notice} ${current.name} covers today. Say "use session ${current.name}" to switch to it, or "clear my Alexa preset" so I always pick the session that covers today.`;
+  }
+  return `${notice} Say "create session" to start a new one.`;
+}
+
+const LaunchRequestHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'LaunchRequest';
+  },
+  async handle(handlerInput) {
+    const accessToken = getAccessToken(handlerInput);
+    
+    if (!accessToken) {
+      return requireAccountLinking(handlerInput);
+    }
+    
+    try {
+      const uid = await getUserKey(handlerInput);
+      await ensureUserCredentials(uid);
+      await migrateUserData(uid);
+      
+      const pending = await getResumablePendingState(handlerInput);
+      if (pending) {
+        setPendingState(handlerInput, 'resumeOffer', true);
+        handlerInput.attributesManager.setSessionAttributes({
+          ...handlerInput.attributesManager.getSessionAttributes(),
+          savedPendingState: pending
+        });
+        
+        return handlerInput.responseBuilder
+          .speak(`Welcome back to Attendance Tracker! Last time, you didn't finish ${describePendingState(pending, getRequestTimeZone(handlerInput))}. Would you like to pick up where you left off?`)
+          .reprompt('Would you like to continue where you left off?')
+          .getResponse();
+      }
+      
+      const userData = await getUserData(uid);
+      const presetNotice = describeEndedPreset(userData, getFormattedDate(new Date(), userData.timeZone));
+      const speechText = presetNotice
+        ? `Welcome to Attendance Tracker! ${presetNotice} What would you like to do?`
+        : 'Welcome to Attendance Tracker! You can mark your attendance as present, absent, or holiday. You can also ask for monthly or session attendance percentages. What would you like to do?';
+      
+      return handlerInput.responseBuilder
+        .speak(speechText)
+        .reprompt('What would you like to do? You can say mark present, mark absent, or ask for attendance percentage.')
+        .getResponse();
+    } catch (error) {
+      console.error('Error in LaunchRequest:', error);
+      const speechText = 'Welcome to Attendance Tracker! What would you like to do?';
+      return handlerInput.responseBuilder
+        .speak(speechText)
+        .reprompt('What would you like to do?')
+        .getResponse();
+    }
+  }
+};
+
+const MarkPresentIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'MarkPresentIntent';
+  },
+  async handle(handlerInput) {
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    try {
+      const uid = await getUserKey(handlerInput);
+      
+      await ensureUserCredentials(uid);
+      await migrateUserData(uid);
+      
+      const requested = getRequestedDate(handlerInput);
+      const userData = await getUserData(uid);
+      
+      const dateError = getMarkingDateError(requested, userData);
+      if (dateError) {
+        return handlerInput.responseBuilder
+          .speak(dateError)
+          .getResponse();
+      }
+      
+      const subjectName = Alexa.getSlotValue(handlerInput.requestEnvelope, 'subject');
+      if (subjectName) {
+        return await markSubjectStatus(handlerInput, uid, userData, requested.date, subjectName, 'present');
+      }
+      
+      const date = requested.date;
+      const dayLabel = describeDate(date, userData.timeZone);
+      const existingStatus = await getDayStatus(uid, date);
+      
+      if (existingStatus) {
+        if (existingStatus.status === 'present' || existingStatus === 'present') {
+          return handlerInput.responseBuilder
+            .speak(`${capitalize(dayLabel)} is already marked as present.`)
+            .getResponse();
+        } else {
+          setPendingState(handlerInput, 'pendingStatusChange', {
+            date,
+            newStatus: 'present',
+            oldStatus: existingStatus.status || existingStatus
+          });
+          
+          return handlerInput.responseBuilder
+            .speak(`${capitalize(dayLabel)} is currently marked as ${existingStatus.status || existingStatus}. Would you like to change it to present?`)
+            .reprompt(`Should I change the status for ${dayLabel} to present?`)
+            .getResponse();
+        }
+      }
+      
+      await setDayStatus(uid, date, 'present');
+      
+      return handlerInput.responseBuilder
+        .speak(`Successfully marked as present for ${dayLabel}.`)
+        .getResponse();
+        
+    } catch (error) {
+      console.error('Error in MarkPresentIntent:', error);
+      return handlerInput.responseBuilder
+        .speak('Sorry, I encountered an error while marking attendance. Please try again.')
+        .getResponse();
+    }
+  }
+};
+
+const MarkAbsentIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'MarkAbsentIntent';
+  },
+  async handle(handlerInput) {
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    try {
+      const uid = await getUserKey(handlerInput);
+      
+      await ensureUserCredentials(uid);
+      await migrateUserData(uid);
+      
+      const requested = getRequestedDate(handlerInput);
+      const userData = await getUserData(uid);
+      
+      const dateError = getMarkingDateError(requested, userData);
+      if (dateError) {
+        return handlerInput.responseBuilder
+          .speak(dateError)
+          .getResponse();
+      }
+      
+      const subjectName = Alexa.getSlotValue(handlerInput.requestEnvelope, 'subject');
+      if (subjectName) {
+        return await markSubjectStatus(handlerInput, uid, userData, requested.date, subjectName, 'absent');
+      }
+      
+      const date = requested.date;
+      const dayLabel = describeDate(date, userData.timeZone);
+      const existingStatus = await getDayStatus(uid, date);
+      
+      if (existingStatus) {
+        if (existingStatus.status === 'absent' || existingStatus === 'absent') {
+          return handlerInput.responseBuilder
+            .speak(`${capitalize(dayLabel)} is already marked as absent.`)
+            .getResponse();
+        } else {
+          setPendingState(handlerInput, 'pendingStatusChange', {
+            date,
+            newStatus: 'absent',
+            oldStatus: existingStatus.status || existingStatus
+          });
+          
+          return handlerInput.responseBuilder
+            .speak(`${capitalize(dayLabel)} is currently marked as ${existingStatus.status || existingStatus}. Would you like to change it to absent?`)
+            .reprompt(`Should I change the status for ${dayLabel} to absent?`)
+            .getResponse();
+        }
+      }
+      
+      await setDayStatus(uid, date, 'absent');
+      
+      return handlerInput.responseBuilder
+        .speak(`Successfully marked as absent for ${dayLabel}.`)
+        .getResponse();
+        
+    } catch (error) {
+      console.error('Error in MarkAbsentIntent:', error);
+      return handlerInput.responseBuilder
+        .speak('Sorry, I encountered an error while marking attendance. Please try again.')
+        .getResponse();
+    }
+  }
+};
+
+const MarkHolidayIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'MarkHolidayIntent';
+  },
+  async handle(handlerInput) {
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    const holidayName = Alexa.getSlotValue(handlerInput.requestEnvelope, 'holidayName');
+    
+    if (!holidayName) {
+      return handlerInput.responseBuilder
+        .speak('Please specify the holiday name. For example, say "mark holiday for Diwali".')
+        .reprompt('What is the name of the holiday?')
+        .getResponse();
+    }
+    
+    try {
+      const uid = await getUserKey(handlerInput);
+      
+      await ensureUserCredentials(uid);
+      await migrateUserData(uid);
+      
+      const requested = getRequestedDate(handlerInput);
+      const userData = await getUserData(uid);
+      
+      const dateError = getMarkingDateError(requested, userData);
+      if (dateError) {
+        return handlerInput.responseBuilder
+          .speak(dateError)
+          .getResponse();
+      }
+      
+      const date = requested.date;
+      const dayLabel = describeDate(date, userData.timeZone);
+      const existingStatus = await getDayStatus(uid, date);
+      
+      if (existingStatus) {
+        if (existingStatus.status === 'holiday' || existingStatus === 'holiday') {
+          return handlerInput.responseBuilder
+            .speak(`${capitalize(dayLabel)} is already marked as holiday for ${existingStatus.name || 'a holiday'}.`)
+            .getResponse();
+        } else {
+          setPendingState(handlerInput, 'pendingStatusChange', {
+            date,
+            newStatus: 'holiday',
+            oldStatus: existingStatus.status || existingStatus,
+            holidayName: holidayName
+          });
+          
+          return handlerInput.responseBuilder
+            .speak(`${capitalize(dayLabel)} is currently marked as ${existingStatus.status || existingStatus}. Would you like to change it to holiday for ${holidayName}?`)
+            .reprompt(`Should I change the status for ${dayLabel} to holiday for ${holidayName}?`)
+            .getResponse();
+        }
+      }
+      
+      await setDayStatus(uid, date, 'holiday', { holidayName });
+      
+      return handlerInput.responseBuilder
+        .speak(`Successfully marked ${dayLabel} as holiday for ${holidayName}.`)
+        .getResponse();
+        
+    } catch (error) {
+      console.error('Error in MarkHolidayIntent:', error);
+      return handlerInput.responseBuilder
+        .speak('Sorry, I encountered an error while marking holiday. Please try again.')
+        .getResponse();
+    }
+  }
+};
+
+// Speech for the status of a single day, e.g. "On March 3, 2025 you were marked present."
+function describeDayStatus(dateStr, userData) {
+  const dayLabel = describeDate(dateStr, userData.timeZone);
+  const onDay = dayLabel === 'today' ? 'today' : `on ${dayLabel}`;
+  const dayStatus = getDayStatusFromData(userData, dateStr);
+  
+  if (dayStatus === 'present' || dayStatus === 'absent') {
+    return `You were marked ${dayStatus} ${onDay}.`;
+  }
+  
+  if (dayStatus && dayStatus.status === 'holiday') {
+    return `${capitalize(dayLabel)} is marked as a holiday: ${dayStatus.name}.`;
+  }
+  
+  if (dayStatus === 'not-enrolled') {
+    return `You were marked not enrolled ${onDay}.`;
+  }
+  
+  if (isNonWorkingDay(dateStr, getCalendarForDate(userData, dateStr))) {
+    return `${capitalize(dayLabel)} is a non-working day.`;
+  }
+  
+  return `${capitalize(dayLabel)} is not marked yet.`;
+}
+
+// Speech listing the unmarked working days of a week, ignoring days that haven't happened yet
+function describeUnmarkedDays(range, userData) {
+  const today = getFormattedDate(new Date(), userData.timeZone);
+  const weekLabel = `the week of ${formatAlexaDate(range.startDate)}`;
+  
+  if (range.startDate > today) {
+    return `${capitalize(weekLabel)} hasn't started yet.`;
+  }
+  
+  const endDate = range.endDate < today ? range.endDate : today;
+  const { workingDays } = getWorkingDaysInRange(range.startDate, endDate, userData);
+  const unmarked = workingDays.filter(date => !getDayStatusFromData(userData, date));
+  
+  if (workingDays.length === 0) {
+    return `There are no working days in ${weekLabel}.`;
+  }
+  
+  if (unmarked.length === 0) {
+    return `Every working day in ${weekLabel} is marked.`;
+  }
+  
+  const dayNames = unmarked.map(date => capitalize(DAY_NAMES[getDayOfWeek(date)]));
+  return `In ${weekLabel}, you haven't marked ${joinSpokenList(dayNames)}.`;
+}
+
+const GAP_FILL_INTENTS = {
+  MarkPresentIntent: 'present',
+  MarkAbsentIntent: 'absent',
+  MarkHolidayIntent: 'holiday',
+  'AMAZON.NextIntent': null
+};
+
+// First unmarked working day of the gap-filling range after the given date
+function findNextUnmarkedDay(userData, gapFill, afterDate = null) {
+  const session = (userData.sessions || []).find(s => s.code === gapFill.sessionCode) || null;
+  const subjects = getSessionSubjects(session);
+  const calendar = getSessionCalendar(userData, session);
+  
+  let dateStr = afterDate ? addDays(afterDate, 1) : gapFill.startDate;
+  for (; dateStr <= gapFill.endDate; dateStr = addDays(dateStr, 1)) {
+    if (isUnmarkedDay(dateStr, calendar, subjects)) return dateStr;
+  }
+  
+  return null;
+}
+
+// Ask about the next unmarked day, or wrap up when there are none left
+function continueGapFill(handlerInput, userData, gapFill, intro = '') {
+  const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+  const nextDate = findNextUnmarkedDay(userData, gapFill, gapFill.date);
+  
+  if (!nextDate) {
+    delete sessionAttributes.pendingGapFill;
+    handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+    
+    const filled = gapFill.filled === 1 ? '1 day' : `${gapFill.filled} days`;
+    return handlerInput.responseBuilder
+      .speak(`${intro}That's all of your missing days. I filled in ${filled}.`)
+      .getResponse();
+  }
+  
+  setPendingState(handlerInput, 'pendingGapFill', { ...gapFill, date: nextDate });
+  
+  const dayLabel = `${capitalize(DAY_NAMES[getDayOfWeek(nextDate)])}, ${formatAlexaDate(nextDate)}`;
+  return handlerInput.responseBuilder
+    .speak(`${intro}${dayLabel}. Were you present, absent, or was it a holiday? You can also say skip.`)
+    .reprompt(`For ${dayLabel}, say present, absent, holiday, or skip.`)
+    .getResponse();
+}
+
+const FillMissingDaysIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'FillMissingDaysIntent';
+  },
+  async handle(handlerInput) {
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    try {
+      const uid = await getUserKey(handlerInput);
+      
+      await ensureUserCredentials(uid);
+      await migrateUserData(uid);
+      
+      const userData = await getUserData(uid);
+      const { session, startDate, endDate, sessionName, today } = resolveAttendanceSession(userData);
+      
+      const gapFill = {
+        sessionCode: session ? session.code : null,
+        startDate,
+        endDate: endDate < today ? endDate : today,
+        date: null,
+        filled: 0
+      };
+      
+      const result = tallyAttendance(getSessionCalendar(userData, session), getWorkingDaysInRange(gapFill.startDate, gapFill.endDate, userData).workingDays, getSessionSubjects(session));
+      
+      if (result.unmarkedDays === 0) {
+        return handlerInput.responseBuilder
+          .speak(`You have no unmarked days in ${sessionName}.`)
+          .getResponse();
+      }
+      
+      const count = result.unmarkedDays === 1 ? '1 unmarked day' : `${result.unmarkedDays} unmarked days`;
+      return continueGapFill(handlerInput, userData, gapFill, `You have ${count} in ${sessionName}. Let's go through them. `);
+      
+    } catch (error) {
+      console.error('Error in FillMissingDaysIntent:', error);
+      return handlerInput.responseBuilder
+        .speak('Sorry, I encountered an error while looking for missing days. Please try again.')
+        .getResponse();
+    }
+  }
+};
+
+// Intents that end the gap-filling conversation
+const GAP_FILL_EXIT_INTENTS = ['AMAZON.NoIntent', 'AMAZON.CancelIntent', 'AMAZON.StopIntent'];
+
+// A present/absent/holiday/skip answer without a date of its own, or a request to stop
+function isGapFillAnswer(handlerInput) {
+  if (Alexa.getRequestType(handlerInput.requestEnvelope) !== 'IntentRequest') return false;
+  
+  const intentName = Alexa.getIntentName(handlerInput.requestEnvelope);
+  if (GAP_FILL_EXIT_INTENTS.includes(intentName)) return true;
+  
+  return Object.prototype.hasOwnProperty.call(GAP_FILL_INTENTS, intentName) &&
+         !Alexa.getSlotValue(handlerInput.requestEnvelope, 'date');
+}
+
+// Any other intent leaves the gap-filling conversation, so a later "mark present" means today again
+const GapFillExitInterceptor = {
+  process(handlerInput) {
+    if (Alexa.getRequestType(handlerInput.requestEnvelope) !== 'IntentRequest') return;
+    
+    const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+    if (!sessionAttributes.pendingGapFill || isGapFillAnswer(handlerInput)) return;
+    
+    delete sessionAttributes.pendingGapFill;
+    handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+  }
+};
+
+// Answers during the gap-filling dialog: "present", "absent", "holiday" or "skip" for the day being asked about
+const GapFillAnswerHandler = {
+  canHandle(handlerInput) {
+    const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+    return !!sessionAttributes.pendingGapFill && isGapFillAnswer(handlerInput);
+  },
+  async handle(handlerInput) {
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    try {
+      const uid = await getUserKey(handlerInput);
+      
+      const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+      const gapFill = { ...sessionAttributes.pendingGapFill };
+      const intentName = Alexa.getIntentName(handlerInput.requestEnvelope);
+      
+      if (GAP_FILL_EXIT_INTENTS.includes(intentName)) {
+        delete sessionAttributes.pendingGapFill;
+        handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+        
+        const filled = gapFill.filled === 1 ? '1 day' : `${gapFill.filled} days`;
+        return handlerInput.responseBuilder
+          .speak(`Okay, I've stopped filling in your missing days. I filled in ${filled}.`)
+          .getResponse();
+      }
+      
+      const status = GAP_FILL_INTENTS[intentName];
+      const subjectName = Alexa.getSlotValue(handlerInput.requestEnvelope, 'subject');
+      let intro = 'Skipped. ';
+      
+      if (status && subjectName && status !== 'holiday') {
+        const sessions = (await getUserData(uid)).sessions || [];
+        const subject = findSubject(sessions.find(s => s.code === gapFill.sessionCode), subjectName);
+        
+        if (!subject) {
+          return handlerInput.responseBuilder
+            .speak(`I couldn't find ${subjectName} in your subjects. Say present, absent, holiday, or skip.`)
+            .reprompt('Say present, absent, holiday, or skip.')
+            .getResponse();
+        }
+        
+        await setSubjectStatus(uid, gapFill.date, subject.name, status);
+        gapFill.filled++;
+        intro = `Marked ${subject.name} ${status}. `;
+      } else if (status) {
+        const holidayName = Alexa.getSlotValue(handlerInput.requestEnvelope, 'holidayName');
+        await setDayStatus(uid, gapFill.date, status, { holidayName });
+        gapFill.filled++;
+        intro = `Marked ${status}. `;
+      }
+      
+      const userData = await getUserData(uid);
+      return continueGapFill(handlerInput, userData, gapFill, intro);
+      
+    } catch (error) {
+      console.error('Error in GapFillAnswer:', error);
+      return handlerInput.responseBuilder
+        .speak('Sorry, I couldn\'t save that day. Please try again.')
+        .reprompt('Say present, absent, holiday, or skip.')
+        .getResponse();
+    }
+  }
+};
+
+const DayStatusIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'DayStatusIntent';
+  },
+  async handle(handlerInput) {
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    try {
+      const uid = await getUserKey(handlerInput);
+      
+      await ensureUserCredentials(uid);
+      await migrateUserData(uid);
+      
+      const userData = await getUserData(uid);
+      const requested = getRequestedDate(handlerInput);
+      
+      if (requested.date) {
+        if (!isValidCalendarDate(requested.date)) {
+          return handlerInput.responseBuilder
+            .speak('Please tell me a specific day, like "yesterday" or "March third".')
+            .getResponse();
+        }
+        
+        return handlerInput.responseBuilder
+          .speak(describeDayStatus(requested.date, userData))
+          .getResponse();
+      }
+      
+      const weekRange = getWeekRange(requested.rawValue);
+      if (!weekRange) {
+        return handlerInput.responseBuilder
+          .speak('Please ask about a specific day, like "was I present last Monday", or a week, like "what did I miss this week".')
+          .getResponse();
+      }
+      
+      return handlerInput.responseBuilder
+        .speak(describeUnmarkedDays(weekRange, userData))
+        .getResponse();
+      
+    } catch (error) {
+      console.error('Error in DayStatusIntent:', error);
+      return handlerInput.responseBuilder
+        .speak('Sorry, I encountered an error while checking that day. Please try again.')
+        .getResponse();
+    }
+  }
+};
+
+const MarkRangeIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'MarkRangeIntent';
+  },
+  async handle(handlerInput) {
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    const status = normalizeStatus(Alexa.getSlotValue(handlerInput.requestEnvelope, 'status'));
+    const startDate = Alexa.getSlotValue(handlerInput.requestEnvelope, 'startDate');
+    const endDate = Alexa.getSlotValue(handlerInput.requestEnvelope, 'endDate');
+    const holidayName = Alexa.getSlotValue(handlerInput.requestEnvelope, 'holidayName');
+    
+    if (!status) {
+      return handlerInput.responseBuilder
+        .speak('Please tell me how to mark those days, for example "mark me absent from Monday to Wednesday".')
+        .reprompt('Should I mark them as present, absent, holiday, or not enrolled?')
+        .getResponse();
+    }
+    
+    if (!isSpecificDate(startDate) || !isSpecificDate(endDate)) {
+      return handlerInput.responseBuilder
+        .speak('Please tell me a start and end day, for example "from Monday to Wednesday".')
+        .reprompt('Which days should I mark?')
+        .getResponse();
+    }
+    
+    if (endDate < startDate) {
+      return handlerInput.responseBuilder
+        .speak(`The end date ${formatAlexaDate(endDate)} is before the start date ${formatAlexaDate(startDate)}. Please try again.`)
+        .reprompt('Which days should I mark?')
+        .getResponse();
+    }
+    
+    if (getDaysBetween(startDate, endDate) >= MAX_RANGE_DAYS) {
+      return handlerInput.responseBuilder
+        .speak(`I can mark up to ${MAX_RANGE_DAYS} days at a time. Please give me a shorter range.`)
+        .reprompt('Which days should I mark?')
+        .getResponse();
+    }
+    
+    try {
+      const uid = await getUserKey(handlerInput);
+      
+      await ensureUserCredentials(uid);
+      await migrateUserData(uid);
+      
+      const userData = await getUserData(uid);
+      
+      const rangeError = getSessionRangeError(startDate, userData) || getSessionRangeError(endDate, userData);
+      if (rangeError) {
+        return handlerInput.responseBuilder
+          .speak(rangeError)
+          .getResponse();
+      }
+      
+      const { workingDays, skippedDays } = getWorkingDaysInRange(startDate, endDate, userData);
+      const rangeText = `from ${formatAlexaDate(startDate)} to ${formatAlexaDate(endDate)}`;
+      const statusText = status.replace('-', ' ');
+      
+      if (workingDays.length === 0) {
+        return handlerInput.responseBuilder
+          .speak(`There are no working days ${rangeText}, so there is nothing to mark.`)
+          .getResponse();
+      }
+      
+      const conflicts = [];
+      workingDays.forEach(date => {
+        const existingStatus = getDayStatusFromData(userData, date);
+        const oldStatus = existingStatus && (existingStatus.status || existingStatus);
+        if (oldStatus && oldStatus !== status) {
+          conflicts.push({ date, oldStatus });
+        }
+      });
+      
+      if (conflicts.length > 0) {
+        setPendingState(handlerInput, 'pendingRangeChange', {
+          startDate,
+          endDate,
+          dates: workingDays,
+          newStatus: status,
+          holidayName,
+          skippedCount: skippedDays.length
+        });
+        
+        const verb = conflicts.length === 1 ? 'is' : 'are';
+        return handlerInput.responseBuilder
+          .speak(`${conflicts.length} of the ${workingDays.length} working days ${rangeText} ${verb} already marked differently: ${summarizeConflicts(conflicts)}. Would you like to overwrite them and mark all ${workingDays.length} days as ${statusText}?`)
+          .reprompt(`Should I mark all ${workingDays.length} working days as ${statusText}?`)
+          .getResponse();
+      }
+      
+      await setDayStatuses(uid, workingDays, status, { holidayName });
+      
+      let speechText = `Successfully marked ${workingDays.length} working day${workingDays.length > 1 ? 's' : ''} ${rangeText} as ${statusText}`;
+      if (status === 'holiday' && holidayName) {
+        speechText += ` for ${holidayName}`;
+      }
+      speechText += '.';
+      if (skippedDays.length > 0) {
+        speechText += ` I skipped ${skippedDays.length} non-working day${skippedDays.length > 1 ? 's' : ''}.`;
+      }
+      
+      return handlerInput.responseBuilder
+        .speak(speechText)
+        .getResponse();
+      
+    } catch (error) {
+      console.error('Error in MarkRangeIntent:', error);
+      return handlerInput.responseBuilder
+        .speak('Sorry, I encountered an error while marking those days. Please try again.')
+        .getResponse();
+    }
+  }
+};
+
+const AddSubjectIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'AddSubjectIntent';
+  },
+  async handle(handlerInput) {
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    const subjectName = Alexa.getSlotValue(handlerInput.requestEnvelope, 'subject');
+    const days = getSlotValues(handlerInput, 'days')
+      .map(parseDayOfWeek)
+      .filter(day => day !== -1);
+    
+    if (!subjectName) {
+      return handlerInput.responseBuilder
+        .speak('Please tell me the subject name. For example, say "add subject Physics on Monday and Wednesday".')
+        .reprompt('Which subject would you like to add?')
+        .getResponse();
+    }
+    
+    try {
+      const uid = await getUserKey(handlerInput);
+      
+      await ensureUserCredentials(uid);
+      await migrateUserData(uid);
+      
+      const presetSession = await getAlexaPresetSession(uid);
+      if (!presetSession) {
+        return handlerInput.responseBuilder
+          .speak('Please select a session first by saying "use session" followed by the session name, then add your subjects.')
+          .getResponse();
+      }
+      
+      const result = await saveSessionSubject(uid, presetSession.code, capitalize(subjectName), days);
+      
+      let speechText = `Okay, I've ${result.updated ? 'updated' : 'added'} ${result.subject.name} in ${presetSession.name}`;
+      if (days.length > 0) {
+        speechText += ` on ${days.map(day => capitalize(DAY_NAMES[day])).join(', ')}`;
+      } else {
+        speechText += ' on every working day';
+      }
+      speechText += '.';
+      
+      return handlerInput.responseBuilder
+        .speak(speechText)
+        .getResponse();
+      
+    } catch (error) {
+      console.error('Error in AddSubjectIntent:', error);
+      return handlerInput.responseBuilder
+        .speak('Sorry, I encountered an error while adding the subject. Please try again.')
+        .getResponse();
+    }
+  }
+};
+
+// Weekdays in Monday-first order, as people list them
+function describeDaysOff(days, sessionName = null) {
+  const inSession = sessionName ? ` in ${sessionName}` : '';
+  if (days.length === 0) return `You don't have any weekly days off${inSession}, so every day counts as a working day.`;
+  
+  const ordered = [...days].sort((a, b) => (a + 6) % 7 - (b + 6) % 7);
+  return `Your weekly days off${inSession} are ${describeWeekdays(ordered)}.`;
+}
+
+const DAYS_OFF_INTENTS = ['SetDaysOffIntent', 'AddDayOffIntent', 'RemoveDayOffIntent', 'ClearDaysOffIntent'];
+
+// Apply one of the DAYS_OFF_INTENTS to the user-level days off, or with a session code to that
+// session's, and describe the result
+async function changeDaysOff(handlerInput, uid, sessionCode, { intentName, days }) {
+  const userData = await getUserData(uid);
+  const session = sessionCode ? (userData.sessions || []).find(s => s.code === sessionCode) : null;
+  if (sessionCode && !session) return 'That session no longer exists. Say "list sessions" to hear your sessions.';
+  
+  const current = getWeeklyDaysOff(getSessionCalendar(userData, session));
+  let updated = days;
+  if (intentName === 'ClearDaysOffIntent') updated = [];
+  if (intentName === 'AddDayOffIntent') updated = [...current, ...days];
+  if (intentName === 'RemoveDayOffIntent') updated = current.filter(day => !days.includes(day));
+  
+  if (new Set(updated).size === 7) {
+    return 'That would leave no working days at all, so I haven\'t changed your days off.';
+  }
+  
+  const saved = session
+    ? await saveSessionDaysOff(uid, session.code, updated)
+    : await saveWeeklyDaysOff(uid, updated);
+  const reminderNote = await rescheduleReminderForDaysOff(handlerInput, uid);
+  
+  return `Okay. ${describeDaysOff(saved, session && session.name)}${reminderNote}`;
+}
+
+// "My days off are Saturday and Sunday", "I don't have class on Saturdays", "I have class on Sundays",
+// "I have class every day". With a sessionName slot only that session's calendar changes.
+const UpdateDaysOffIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           DAYS_OFF_INTENTS.includes(Alexa.getIntentName(handlerInput.requestEnvelope));
+  },
+  async handle(handlerInput) {
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    const intentName = Alexa.getIntentName(handlerInput.requestEnvelope);
+    const days = getSlotValues(handlerInput, 'days')
+      .map(parseDayOfWeek)
+      .filter(day => day !== -1);
+    
+    // Days off are only cleared when the user asks for it, never because the days slot wasn't understood
+    if (days.length === 0 && intentName !== 'ClearDaysOffIntent') {
+      return handlerInput.responseBuilder
+        .speak('Which day? For example, say "I don\'t have class on Saturdays".')
+        .reprompt('Which day of the week do you mean?')
+        .getResponse();
+    }
+    
+    try {
+      const uid = await getUserKey(handlerInput);
+      
+      await ensureUserCredentials(uid);
+      await migrateUserData(uid);
+      
+      const sessionName = Alexa.getSlotValue(handlerInput.requestEnvelope, 'sessionName');
+      if (sessionName) {
+        return await editNamedSession(handlerInput, uid, sessionName, { type: 'daysOff', intentName, days });
+      }
+      
+      return handlerInput.responseBuilder
+        .speak(await changeDaysOff(handlerInput, uid, null, { intentName, days }))
+        .getResponse();
+      
+    } catch (error) {
+      console.error(`Error in ${intentName}:`, error);
+      return handlerInput.responseBuilder
+        .speak('Sorry, I encountered an error while updating your days off. Please try again.')
+        .getResponse();
+    }
+  }
+};
+
+const ListDaysOffIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'ListDaysOffIntent';
+  },
+  async handle(handlerInput) {
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    try {
+      const uid = await getUserKey(handlerInput);
+      
+      await ensureUserCredentials(uid);
+      await migrateUserData(uid);
+      
+      const sessionName = Alexa.getSlotValue(handlerInput.requestEnvelope, 'sessionName');
+      if (sessionName) {
+        return await editNamedSession(handlerInput, uid, sessionName, { type: 'listDaysOff' }, { confirmFuzzy: false });
+      }
+      
+      const userData = await getUserData(uid);
+      
+      return handlerInput.responseBuilder
+        .speak(describeDaysOff(getWeeklyDaysOff(userData)))
+        .getResponse();
+      
+    } catch (error) {
+      console.error('Error in ListDaysOffIntent:', error);
+      return handlerInput.responseBuilder
+        .speak('Sorry, I encountered an error while fetching your days off. Please try again.')
+        .getResponse();
+    }
+  }
+};
+
+// Give a session its own holidays and describe the result
+async function useSessionHolidays(uid, sessionCode) {
+  const session = (await getAvailableSessions(uid)).find(s => s.code === sessionCode);
+  if (!session) return 'That session no longer exists. Say "list sessions" to hear your sessions.';
+  
+  const updated = await saveSessionHolidays(uid, session.code);
+  if (!updated) return `${session.name} already keeps its own holidays.`;
+  
+  const count = updated.holidays.length;
+  const seeded = count > 0
+    ? ` I've copied ${count === 1 ? 'the holiday' : `the ${count} holidays`} already marked in it.`
+    : '';
+  return `Okay, ${session.name} now keeps its own holidays.${seeded}`;
+}
+
+// "Give Spring its own holidays": later holiday marks in Spring are kept with the session
+const SessionHolidaysIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'SessionHolidaysIntent';
+  },
+  async handle(handlerInput) {
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    try {
+      const uid = await getUserKey(handlerInput);
+      
+      await ensureUserCredentials(uid);
+      await migrateUserData(uid);
+      
+      const sessionName = Alexa.getSlotValue(handlerInput.requestEnvelope, 'sessionName');
+      if (sessionName) {
+        return await editNamedSession(handlerInput, uid, sessionName, { type: 'holidays' });
+      }
+      
+      const userData = await getUserData(uid);
+      const session = getActiveSession(userData, getFormattedDate(new Date(), userData.timeZone));
+      
+      if (!session) {
+        return handlerInput.responseBuilder
+          .speak('Which session should get its own holidays?')
+          .reprompt('Please tell me the name of the session.')
+          .getResponse();
+      }
+      
+      return handlerInput.responseBuilder
+        .speak(await useSessionHolidays(uid, session.code))
+        .getResponse();
+      
+    } catch (error) {
+      console.error('Error in SessionHolidaysIntent:', error);
+      return handlerInput.responseBuilder
+        .speak('Sorry, I encountered an error while updating the session\'s holidays. Please try again.')
+        .getResponse();
+    }
+  }
+};
+
+const CALENDAR_RULE_INTENTS = ['AddNthWeekdayClosureIntent', 'AddAlternateWeekClosureIntent'];
+
+// Build a calendar rule from the slots of one of the CALENDAR_RULE_INTENTS, or return { error } speech
+function getCalendarRuleFromSlots(handlerInput, intentName) {
+  const weekday = parseDayOfWeek(Alexa.getSlotValue(handlerInput.requestEnvelope, 'weekday'));
+  
+  if (intentName === 'AddNthWeekdayClosureIntent') {
+    const weeks = [...new Set(getSlotValues(handlerInput, 'weeks').map(parseWeekOrdinal).filter(week => week !== null))];
+    if (weekday === -1 || weeks.length === 0) {
+      return { error: 'Tell me which weeks and which day, like "we\'re closed on the second and fourth Saturday".' };
+    }
+    return { rule: { type: 'nthWeekday', weekday, weeks } };
+  }
+  
+  if (intentName === 'AddAlternateWeekClosureIntent') {
+    const requested = getRequestedDate(handlerInput, 'startDate');
+    if (weekday === -1 || !requested.date || !isValidCalendarDate(requested.date)) {
+      return { error: 'Tell me the day and the first one you\'re closed, like "we\'re closed every other Saturday starting March eighth".' };
+    }
+    
+    // Start on the first matching weekday on or after the date given
+    let startDate = requested.date;
+    while (getDayOfWeek(startDate) !== weekday) startDate = addDays(startDate, 1);
+    return { rule: { type: 'alternateWeeks', weekday, startDate } };
+  }
+  
+  return { error: 'Tell me which day you\'re closed, like "we\'re closed every other Saturday starting March eighth".' };
+}
+
+// "We're closed on the second and fourth Saturday", "every other Saturday starting March 8"
+const AddCalendarRuleIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           CALENDAR_RULE_INTENTS.includes(Alexa.getIntentName(handlerInput.requestEnvelope));
+  },
+  async handle(handlerInput) {
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    const intentName = Alexa.getIntentName(handlerInput.requestEnvelope);
+    const { rule, error } = getCalendarRuleFromSlots(handlerInput, intentName);
+    
+    if (error) {
+      return handlerInput.responseBuilder
+        .speak(error)
+        .reprompt(error)
+        .getResponse();
+    }
+    
+    try {
+      const uid = await getUserKey(handlerInput);
+      
+      await ensureUserCredentials(uid);
+      await migrateUserData(uid);
+      
+      await addCalendarRule(uid, rule);
+      const reminderNote = (await getReminderPreferences(uid)) ? REMINDER_CLOSURE_NOTE : '';
+      
+      return handlerInput.responseBuilder
+        .speak(`Okay, I'll treat ${describeCalendarRule(rule)} as a non-working day.${reminderNote}`)
+        .getResponse();
+      
+    } catch (err) {
+      console.error(`Error in ${intentName}:`, err);
+      return handlerInput.responseBuilder
+        .speak('Sorry, I encountered an error while updating your calendar. Please try again.')
+        .getResponse();
+    }
+  }
+};
+
+const ListCalendarRulesIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'ListCalendarRulesIntent';
+  },
+  async handle(handlerInput) {
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    try {
+      const uid = await getUserKey(handlerInput);
+      
+      await ensureUserCredentials(uid);
+      await migrateUserData(uid);
+      
+      const userData = await getUserData(uid);
+      const rules = userData.calendarRules || [];
+      const breaks = userData.breaks || [];
+      
+      let speechText = describeDaysOff(getWeeklyDaysOff(userData));
+      if (rules.length > 0) {
+        speechText += ` You're also closed on ${joinSpokenList(rules.map(describeCalendarRule))}.`;
+      }
+      if (breaks.length > 0) {
+        speechText += ` Your breaks are ${joinSpokenList(breaks.map(describeBreak))}.`;
+      }
+      
+      return handlerInput.responseBuilder
+        .speak(speechText)
+        .getResponse();
+      
+    } catch (error) {
+      console.error('Error in ListCalendarRulesIntent:', error);
+      return handlerInput.responseBuilder
+        .speak('Sorry, I encountered an error while fetching your calendar. Please try again.')
+        .getResponse();
+    }
+  }
+};
+
+const ClearCalendarRulesIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'ClearCalendarRulesIntent';
+  },
+  async handle(handlerInput) {
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    try {
+      const uid = await getUserKey(handlerInput);
+      
+      await ensureUserCredentials(uid);
+      await migrateUserData(uid);
+      
+      await clearCalendarRules(uid);
+      
+      return handlerInput.responseBuilder
+        .speak('Okay, I\'ve removed your closure rules. Your weekly days off and breaks stay as they are.')
+        .getResponse();
+      
+    } catch (error) {
+      console.error('Error in ClearCalendarRulesIntent:', error);
+      return handlerInput.responseBuilder
+        .speak('Sorry, I encountered an error while clearing your calendar rules. Please try again.')
+        .getResponse();
+    }
+  }
+};
+
+// "We're open on the fourth Saturday again", "remove the Friday closure"
+const RemoveCalendarRuleIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'RemoveCalendarRuleIntent';
+  },
+  async handle(handlerInput) {
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    const weekday = parseDayOfWeek(Alexa.getSlotValue(handlerInput.requestEnvelope, 'weekday'));
+    const weeks = [...new Set(getSlotValues(handlerInput, 'weeks').map(parseWeekOrdinal).filter(week => week !== null))];
+    
+    if (weekday === -1) {
+      return handlerInput.responseBuilder
+        .speak('Which closure should I remove? For example, say "we\'re open on the fourth Saturday again".')
+        .reprompt('Which day are you open on again?')
+        .getResponse();
+    }
+    
+    try {
+      const uid = await getUserKey(handlerInput);
+      
+      await ensureUserCredentials(uid);
+      await migrateUserData(uid);
+      
+      const removed = await removeCalendarRules(uid, weekday, weeks);
+      
+      if (removed.length === 0) {
+        return handlerInput.responseBuilder
+          .speak(`You don't have a closure rule for ${describeWeekdays([weekday])}, so nothing has changed.`)
+          .getResponse();
+      }
+      
+      return handlerInput.responseBuilder
+        .speak(`Okay, ${joinSpokenList(removed.map(describeCalendarRule))} ${removed.length === 1 ? 'is' : 'are'} a working day again.`)
+        .getResponse();
+      
+    } catch (error) {
+      console.error('Error in RemoveCalendarRuleIntent:', error);
+      return handlerInput.responseBuilder
+        .speak('Sorry, I encountered an error while updating your calendar. Please try again.')
+        .getResponse();
+    }
+  }
+};
+
+// "Add Diwali break from October 20th to October 27th", "we're closed from December 20th to January 5th"
+const BREAK_INTENTS = ['AddBreakIntent', 'AddClosureIntent'];
+
+const AddBreakIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           BREAK_INTENTS.includes(Alexa.getIntentName(handlerInput.requestEnvelope));
+  },
+  async handle(handlerInput) {
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    const intentName = Alexa.getIntentName(handlerInput.requestEnvelope);
+    const startBounds = getDateBounds(Alexa.getSlotValue(handlerInput.requestEnvelope, 'startDate'));
+    const endValue = Alexa.getSlotValue(handlerInput.requestEnvelope, 'endDate');
+    const endBounds = endValue ? getDateBounds(endValue) : startBounds;
+    
+    if (!startBounds || !endBounds) {
+      const speechText = 'Tell me the name and dates of the break, like "add Diwali break from October twentieth to October twenty seventh".';
+      return handlerInput.responseBuilder
+        .speak(speechText)
+        .reprompt(speechText)
+        .getResponse();
+    }
+    if (endBounds.endDate < startBounds.startDate) {
+      const speechText = `${formatAlexaDate(endBounds.endDate)} is before ${formatAlexaDate(startBounds.startDate)}. Please give me the break again.`;
+      return handlerInput.responseBuilder
+        .speak(speechText)
+        .reprompt(speechText)
+        .getResponse();
+    }
+    
+    const spokenName = Alexa.getSlotValue(handlerInput.requestEnvelope, 'breakName') ||
+                       Alexa.getSlotValue(handlerInput.requestEnvelope, 'closureName');
+    const name = spokenName ? capitalize(spokenName) : 'Break';
+    
+    try {
+      const uid = await getUserKey(handlerInput);
+      
+      await ensureUserCredentials(uid);
+      await migrateUserData(uid);
+      
+      const breakEntry = await addBreak(uid, name, startBounds.startDate, endBounds.endDate);
+      const reminderNote = (await getReminderPreferences(uid)) ? REMINDER_CLOSURE_NOTE : '';
+      
+      return handlerInput.responseBuilder
+        .speak(`Okay, I've added ${describeBreak(breakEntry)}. Those days won't count as working days.${reminderNote}`)
+        .getResponse();
+      
+    } catch (error) {
+      console.error(`Error in ${intentName}:`, error);
+      return handlerInput.responseBuilder
+        .speak('Sorry, I encountered an error while adding your break. Please try again.')
+        .getResponse();
+    }
+  }
+};
+
+const ListBreaksIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'ListBreaksIntent';
+  },
+  async handle(handlerInput) {
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    try {
+      const uid = await getUserKey(handlerInput);
+      
+      await ensureUserCredentials(uid);
+      await migrateUserData(uid);
+      
+      const userData = await getUserData(uid);
+      const breaks = userData.breaks || [];
+      
+      const speechText = breaks.length === 0
+        ? 'You haven\'t added any breaks. Say something like "add Diwali break from October twentieth to October twenty seventh".'
+        : `You have ${breaks.length} ${breaks.length === 1 ? 'break' : 'breaks'}: ${joinSpokenList(breaks.map(describeBreak))}.`;
+      
+      return handlerInput.responseBuilder
+        .speak(speechText)
+        .getResponse();
+      
+    } catch (error) {
+      console.error('Error in ListBreaksIntent:', error);
+      return handlerInput.responseBuilder
+        .speak('Sorry, I encountered an error while fetching your breaks. Please try again.')
+        .getResponse();
+    }
   }
-  
-  updatedSessions.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-  
-  await updateUserData(uid, { sessions: updatedSessions });
-  
-  return sessionData;
-}
+};
 
-// Get available sessions
-async function getAvailableSessions(uid) {
-  const userData = await getUserData(uid);
-  return userData.sessions || [];
-}
+// "Delete Diwali break"; a date picks between breaks with the same name
+const DeleteBreakIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'DeleteBreakIntent';
+  },
+  async handle(handlerInput) {
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    try {
+      const uid = await getUserKey(handlerInput);
+      
+      await ensureUserCredentials(uid);
+      await migrateUserData(uid);
+      
+      const userData = await getUserData(uid);
+      const breakName = Alexa.getSlotValue(handlerInput.requestEnvelope, 'breakName');
+      const requested = getRequestedDate(handlerInput, 'date');
+      const date = requested.fromSlot ? requested.date : null;
+      
+      let matches = userData.breaks || [];
+      if (breakName) {
+        const spoken = normalizeSessionText(breakName);
+        matches = matches.filter(b => normalizeSessionText(b.name) === spoken);
+      }
+      if (date) {
+        matches = matches.filter(b => date >= b.startDate && date <= b.endDate);
+      }
+      
+      if (matches.length === 0 || (!breakName && !date)) {
+        const speechText = breakName
+          ? `I couldn't find a break called ${breakName}. Say "list my breaks" to hear them.`
+          : 'Which break should I delete? Say something like "delete Diwali break".';
+        return handlerInput.responseBuilder
+          .speak(speechText)
+          .reprompt(speechText)
+          .getResponse();
+      }
+      
+      if (matches.length > 1) {
+        const speechText = `You have ${matches.length} breaks called ${matches[0].name}: ${joinSpokenList(matches.map(describeBreak))}. Say the name with a date, like "delete ${matches[0].name} on ${formatAlexaDate(matches[0].startDate)}".`;
+        return handlerInput.responseBuilder
+          .speak(speechText)
+          .reprompt(speechText)
+          .getResponse();
+      }
+      
+      await deleteBreak(uid, matches[0].id);
+      
+      return handlerInput.responseBuilder
+        .speak(`Okay, I've deleted ${describeBreak(matches[0])}. Those days are working days again.`)
+        .getResponse();
+      
+    } catch (error) {
+      console.error('Error in DeleteBreakIntent:', error);
+      return handlerInput.responseBuilder
+        .speak('Sorry, I encountered an error while deleting your break. Please try again.')
+        .getResponse();
+    }
+  }
+};
 
-// ALL INTENT HANDLERS - FIXED WITH PROPER ASYNC/AWAIT
+const AttendancePlanIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'AttendancePlanIntent';
+  },
+  async handle(handlerInput) {
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    try {
+      const uid = await getUserKey(handlerInput);
+      
+      await ensureUserCredentials(uid);
+      await migrateUserData(uid);
+      
+      const sessionNameSlot = Alexa.getSlotValue(handlerInput.requestEnvelope, 'sessionName');
+      const plan = await calculateAttendancePlan(uid, sessionNameSlot);
+      const unit = plan.usesSubjects ? 'classes' : 'days';
+      const singularUnit = plan.usesSubjects ? 'class' : 'day';
+      
+      let speechText = `Your attendance for ${plan.sessionName} is ${plan.percentage} percent and your target is ${plan.targetPercentage} percent. `;
+      
+      if (plan.remainingDays === 0 && plan.mustAttend === 0) {
+        speechText += 'There are no working days left in this session, and you are at or above your target.';
+      } else if (plan.mustAttend === 0) {
+        speechText += plan.canMiss > 0
+          ? `With ${plan.remainingDays} working ${unit} left, you can miss ${plan.canMiss} more ${plan.canMiss === 1 ? singularUnit : unit} and stay at or above your target.`
+          : `With ${plan.remainingDays} working ${unit} left, you can't miss any more ${unit} if you want to stay at or above your target.`;
+      } else if (plan.reachable) {
+        speechText += `You need to attend the next ${plan.mustAttend} ${unit} in a row to get back to your target.`;
+      } else {
+        speechText += `There are only ${plan.remainingDays} working ${unit} left, so even if you attend all of them you will reach ${plan.bestPercentage} percent.`;
+      }
+      
+      return handlerInput.responseBuilder
+        .speak(speechText)
+        .getResponse();
+      
+    } catch (error) {
+      console.error('Error in AttendancePlanIntent:', error);
+      return handlerInput.responseBuilder
+        .speak('Sorry, I encountered an error while working out your attendance plan. Please try again.')
+        .getResponse();
+    }
+  }
+};
 
-const LaunchRequestHandler = {
+const SetAttendanceTargetIntentHandler = {
   canHandle(handlerInput) {
-    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'LaunchRequest';
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'SetAttendanceTargetIntent';
   },
   async handle(handlerInput) {
     const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
     
-    if (!accessToken) {
-      return requireAccountLinking(handlerInput);
+    const percentage = Number(Alexa.getSlotValue(handlerInput.requestEnvelope, 'percentage'));
+    
+    if (!Number.isFinite(percentage) || percentage <= 0 || percentage > 100) {
+      return handlerInput.responseBuilder
+        .speak('Please tell me a target between 1 and 100 percent. For example, say "set my attendance target to 80 percent".')
+        .reprompt('What attendance percentage would you like to aim for?')
+        .getResponse();
     }
     
     try {
       const uid = await getUserKey(handlerInput);
+      
       await ensureUserCredentials(uid);
       await migrateUserData(uid);
       
-      const speechText = 'Welcome to Attendance Tracker! You can mark your attendance as present, absent, or holiday. You can also ask for monthly or session attendance percentages. What would you like to do?';
+      const presetSession = await getAlexaPresetSession(uid);
+      if (!presetSession) {
+        return handlerInput.responseBuilder
+          .speak('Please select a session first by saying "use session" followed by the session name, then set your target.')
+          .getResponse();
+      }
+      
+      await setSessionTarget(uid, presetSession.code, percentage);
       
       return handlerInput.responseBuilder
-        .speak(speechText)
-        .reprompt('What would you like to do? You can say mark present, mark absent, or ask for attendance percentage.')
+        .speak(`Okay, your attendance target for ${presetSession.name} is now ${percentage} percent.`)
         .getResponse();
+      
     } catch (error) {
-      console.error('Error in LaunchRequest:', error);
-      const speechText = 'Welcome to Attendance Tracker! What would you like to do?';
+      console.error('Error in SetAttendanceTargetIntent:', error);
       return handlerInput.responseBuilder
-        .speak(speechText)
-        .reprompt('What would you like to do?')
+        .speak('Sorry, I encountered an error while setting your attendance target. Please try again.')
         .getResponse();
     }
   }
 };
 
-const MarkPresentIntentHandler = {
+const SetAttendanceReminderIntentHandler = {
   canHandle(handlerInput) {
     return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
-           Alexa.getIntentName(handlerInput.requestEnvelope) === 'MarkPresentIntent';
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'SetAttendanceReminderIntent';
   },
   async handle(handlerInput) {
     const accessToken = getAccessToken(handlerInput);
     if (!accessToken) return requireAccountLinking(handlerInput);
     
+    if (!hasReminderPermission(handlerInput)) {
+      return requireReminderPermission(handlerInput);
+    }
+    
+    const time = normalizeReminderTime(Alexa.getSlotValue(handlerInput.requestEnvelope, 'time'));
+    
+    if (!time) {
+      return handlerInput.responseBuilder
+        .speak('What time should I remind you to mark your attendance? For example, say "remind me at 6 PM".')
+        .reprompt('What time should I remind you?')
+        .getResponse();
+    }
+    
     try {
       const uid = await getUserKey(handlerInput);
       
       await ensureUserCredentials(uid);
       await migrateUserData(uid);
       
-      const today = getFormattedDate();
       const userData = await getUserData(uid);
+      const timeZone = getRequestTimeZone(handlerInput) || userData.timeZone || null;
+      const weekdays = getWorkingWeekdays(userData, getFormattedDate(new Date(), timeZone));
       
-      if (isNonWorkingDay(today, userData)) {
+      if (weekdays.length === 0) {
         return handlerInput.responseBuilder
-          .speak('Today is a non-working day. You cannot mark attendance on non-working days.')
+          .speak('All days of the week are set as days off, so there are no working days to remind you on.')
           .getResponse();
       }
       
-      const existingStatus = await getDayStatus(uid, today);
+      const existing = userData.reminder;
+      await scheduleAttendanceReminder(handlerInput, uid, existing, { time, weekdays, timeZone });
       
-      if (existingStatus) {
-        if (existingStatus.status === 'present' || existingStatus === 'present') {
-          return handlerInput.responseBuilder
-            .speak('Today is already marked as present.')
-            .getResponse();
-        } else {
-          const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
-          sessionAttributes.pendingStatusChange = {
-            date: today,
-            newStatus: 'present',
-            oldStatus: existingStatus.status || existingStatus
-          };
-          handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
-          
-          return handlerInput.responseBuilder
-            .speak(`Today is currently marked as ${existingStatus.status || existingStatus}. Would you like to change it to present?`)
-            .reprompt('Should I change today\'s status to present?')
-            .getResponse();
+      const verb = existing ? 'changed your reminder to' : 'set a reminder for';
+      return handlerInput.responseBuilder
+        .speak(`Okay, I've ${verb} ${formatSpokenTime(time)} on ${describeWeekdays(weekdays)} to mark your attendance.`)
+        .getResponse();
+      
+    } catch (error) {
+      if (isPermissionError(error)) {
+        return requireReminderPermission(handlerInput);
+      }
+      console.error('Error in SetAttendanceReminderIntent:', error);
+      return handlerInput.responseBuilder
+        .speak('Sorry, I encountered an error while setting your reminder. Please try again.')
+        .getResponse();
+    }
+  }
+};
+
+const GetAttendanceReminderIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'GetAttendanceReminderIntent';
+  },
+  async handle(handlerInput) {
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    try {
+      const uid = await getUserKey(handlerInput);
+      
+      await ensureUserCredentials(uid);
+      await migrateUserData(uid);
+      
+      const reminder = await getReminderPreferences(uid);
+      
+      if (reminder && reminder.alertToken && hasReminderPermission(handlerInput)) {
+        try {
+          const reminderClient = handlerInput.serviceClientFactory.getReminderManagementServiceClient();
+          await reminderClient.getReminder(reminder.alertToken);
+        } catch (error) {
+          if (error.statusCode === 404) {
+            await saveReminderPreferences(uid, null);
+            return handlerInput.responseBuilder
+              .speak('Your attendance reminder was removed in the Alexa app. You can set a new one by saying "remind me to mark attendance at 6 PM".')
+              .getResponse();
+          }
+          console.log('Could not verify reminder:', error.message);
         }
       }
       
-      await setDayStatus(uid, today, 'present');
+      if (!reminder) {
+        return handlerInput.responseBuilder
+          .speak('You don\'t have an attendance reminder. You can set one by saying "remind me to mark attendance at 6 PM".')
+          .getResponse();
+      }
       
       return handlerInput.responseBuilder
-        .speak('Successfully marked as present for today.')
+        .speak(`I'll remind you to mark your attendance at ${formatSpokenTime(reminder.time)} on ${describeWeekdays(reminder.days || [])}.`)
         .getResponse();
-        
+      
     } catch (error) {
-      console.error('Error in MarkPresentIntent:', error);
+      console.error('Error in GetAttendanceReminderIntent:', error);
       return handlerInput.responseBuilder
-        .speak('Sorry, I encountered an error while marking attendance. Please try again.')
+        .speak('Sorry, I encountered an error while fetching your reminder. Please try again.')
         .getResponse();
     }
   }
 };
 
-const MarkAbsentIntentHandler = {
+const CancelAttendanceReminderIntentHandler = {
   canHandle(handlerInput) {
     return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
-           Alexa.getIntentName(handlerInput.requestEnvelope) === 'MarkAbsentIntent';
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'CancelAttendanceReminderIntent';
   },
   async handle(handlerInput) {
     const accessToken = getAccessToken(handlerInput);
@@ -824,70 +3993,102 @@ const MarkAbsentIntentHandler = {
       await ensureUserCredentials(uid);
       await migrateUserData(uid);
       
-      const today = getFormattedDate();
-      const userData = await getUserData(uid);
+      const reminder = await getReminderPreferences(uid);
       
-      if (isNonWorkingDay(today, userData)) {
+      if (!reminder) {
         return handlerInput.responseBuilder
-          .speak('Today is a non-working day. You cannot mark attendance on non-working days.')
+          .speak('You don\'t have an attendance reminder to cancel.')
           .getResponse();
       }
       
-      const existingStatus = await getDayStatus(uid, today);
-      
-      if (existingStatus) {
-        if (existingStatus.status === 'absent' || existingStatus === 'absent') {
-          return handlerInput.responseBuilder
-            .speak('Today is already marked as absent.')
-            .getResponse();
-        } else {
-          const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
-          sessionAttributes.pendingStatusChange = {
-            date: today,
-            newStatus: 'absent',
-            oldStatus: existingStatus.status || existingStatus
-          };
-          handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
-          
-          return handlerInput.responseBuilder
-            .speak(`Today is currently marked as ${existingStatus.status || existingStatus}. Would you like to change it to absent?`)
-            .reprompt('Should I change today\'s status to absent?')
-            .getResponse();
+      if (reminder.alertToken) {
+        if (!hasReminderPermission(handlerInput)) {
+          return requireReminderPermission(handlerInput);
+        }
+        
+        try {
+          const reminderClient = handlerInput.serviceClientFactory.getReminderManagementServiceClient();
+          await reminderClient.deleteReminder(reminder.alertToken);
+        } catch (error) {
+          if (error.statusCode !== 404) throw error;
         }
       }
       
-      await setDayStatus(uid, today, 'absent');
+      await saveReminderPreferences(uid, null);
       
       return handlerInput.responseBuilder
-        .speak('Successfully marked as absent for today.')
+        .speak('Okay, I\'ve cancelled your attendance reminder.')
         .getResponse();
-        
+      
     } catch (error) {
-      console.error('Error in MarkAbsentIntent:', error);
+      if (isPermissionError(error)) {
+        return requireReminderPermission(handlerInput);
+      }
+      console.error('Error in CancelAttendanceReminderIntent:', error);
       return handlerInput.responseBuilder
-        .speak('Sorry, I encountered an error while marking attendance. Please try again.')
+        .speak('Sorry, I encountered an error while cancelling your reminder. Please try again.')
         .getResponse();
     }
   }
 };
 
-const MarkHolidayIntentHandler = {
+function formatDayCount(days) {
+  return days === 1 ? '1 day' : `${days} days`;
+}
+
+const AttendanceStreakIntentHandler = {
   canHandle(handlerInput) {
     return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
-           Alexa.getIntentName(handlerInput.requestEnvelope) === 'MarkHolidayIntent';
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'AttendanceStreakIntent';
   },
   async handle(handlerInput) {
     const accessToken = getAccessToken(handlerInput);
     if (!accessToken) return requireAccountLinking(handlerInput);
     
-    const holidayName = Alexa.getSlotValue(handlerInput.requestEnvelope, 'holidayName');
-    
-    if (!holidayName) {
+    try {
+      const uid = await getUserKey(handlerInput);
+      
+      await ensureUserCredentials(uid);
+      await migrateUserData(uid);
+      
+      const insights = await calculateAttendanceInsights(uid);
+      const { currentStreak, longestStreak } = insights;
+      
+      if (longestStreak.days === 0) {
+        return handlerInput.responseBuilder
+          .speak(`You don't have any present days in ${insights.sessionName} yet.`)
+          .getResponse();
+      }
+      
+      let speechText = currentStreak > 0
+        ? `You've been present ${formatDayCount(currentStreak)} in a row.`
+        : 'You don\'t have a present streak going right now.';
+      
+      speechText += currentStreak === longestStreak.days
+        ? ` That's your longest streak in ${insights.sessionName}.`
+        : ` Your longest streak in ${insights.sessionName} is ${formatDayCount(longestStreak.days)}, from ${formatAlexaDate(longestStreak.startDate)} to ${formatAlexaDate(longestStreak.endDate)}.`;
+      
       return handlerInput.responseBuilder
-        .speak('Please specify the holiday name. For example, say "mark holiday for Diwali".')
-        .reprompt('What is the name of the holiday?')
+        .speak(speechText)
+        .getResponse();
+      
+    } catch (error) {
+      console.error('Error in AttendanceStreakIntent:', error);
+      return handlerInput.responseBuilder
+        .speak('Sorry, I encountered an error while working out your streak. Please try again.')
         .getResponse();
     }
+  }
+};
+
+const MissedWeekdayIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'MissedWeekdayIntent';
+  },
+  async handle(handlerInput) {
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
     
     try {
       const uid = await getUserKey(handlerInput);
@@ -895,42 +4096,60 @@ const MarkHolidayIntentHandler = {
       await ensureUserCredentials(uid);
       await migrateUserData(uid);
       
-      const today = getFormattedDate();
+      const insights = await calculateAttendanceInsights(uid);
+      const weekday = insights.mostMissedWeekday;
       
-      const existingStatus = await getDayStatus(uid, today);
-      
-      if (existingStatus) {
-        if (existingStatus.status === 'holiday' || existingStatus === 'holiday') {
-          return handlerInput.responseBuilder
-            .speak(`Today is already marked as holiday for ${existingStatus.name || 'a holiday'}.`)
-            .getResponse();
-        } else {
-          const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
-          sessionAttributes.pendingStatusChange = {
-            date: today,
-            newStatus: 'holiday',
-            oldStatus: existingStatus.status || existingStatus,
-            holidayName: holidayName
-          };
-          handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
-          
-          return handlerInput.responseBuilder
-            .speak(`Today is currently marked as ${existingStatus.status || existingStatus}. Would you like to change it to holiday for ${holidayName}?`)
-            .reprompt(`Should I change today\'s status to holiday for ${holidayName}?`)
-            .getResponse();
-        }
+      if (!weekday) {
+        return handlerInput.responseBuilder
+          .speak(`You haven't been absent on any day in ${insights.sessionName}.`)
+          .getResponse();
       }
       
-      await setDayStatus(uid, today, 'holiday', { holidayName });
+      const dayName = capitalize(weekday.day);
+      const absences = weekday.absences === 1 ? '1 absence' : `${weekday.absences} absences`;
       
       return handlerInput.responseBuilder
-        .speak(`Successfully marked as holiday for ${holidayName}.`)
+        .speak(`You miss ${dayName}s the most, with ${absences} out of ${weekday.countedDays} ${dayName}s in ${insights.sessionName}.`)
         .getResponse();
-        
+      
+    } catch (error) {
+      console.error('Error in MissedWeekdayIntent:', error);
+      return handlerInput.responseBuilder
+        .speak('Sorry, I encountered an error while looking at your absences. Please try again.')
+        .getResponse();
+    }
+  }
+};
+
+const MonthComparisonIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'MonthComparisonIntent';
+  },
+  async handle(handlerInput) {
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    try {
+      const uid = await getUserKey(handlerInput);
+      
+      await ensureUserCredentials(uid);
+      await migrateUserData(uid);
+      
+      const { current, previous, change } = (await calculateAttendanceInsights(uid)).months;
+      
+      let trend = 'the same as';
+      if (change > 0) trend = `up ${change} ${change === 1 ? 'point' : 'points'} from`;
+      if (change < 0) trend = `down ${-change} ${change === -1 ? 'point' : 'points'} from`;
+      
+      return handlerInput.responseBuilder
+        .speak(`This month you're at ${current.percentage} percent, ${trend} ${previous.percentage} percent last month.`)
+        .getResponse();
+      
     } catch (error) {
-      console.error('Error in MarkHolidayIntent:', error);
+      console.error('Error in MonthComparisonIntent:', error);
       return handlerInput.responseBuilder
-        .speak('Sorry, I encountered an error while marking holiday. Please try again.')
+        .speak('Sorry, I encountered an error while comparing your months. Please try again.')
         .getResponse();
     }
   }
@@ -952,14 +4171,19 @@ const MonthlyAttendanceIntentHandler = {
       await migrateUserData(uid);
       
       const monthSlot = Alexa.getSlotValue(handlerInput.requestEnvelope, 'month');
-      const yearMonth = monthSlot ? getYearMonthFromDate(monthSlot) : getYearMonthFromDate();
+      const yearMonth = getYearMonthFromDate(monthSlot, getRequestTimeZone(handlerInput));
       
-      const percentage = await calculateMonthlyAttendance(uid, yearMonth);
+      const result = await calculateMonthlyAttendance(uid, yearMonth);
       
-      const monthName = new Date(yearMonth + '-01').toLocaleString('en-US', { month: 'long', year: 'numeric' });
+      const monthName = new Date(`${yearMonth}-01T00:00:00Z`).toLocaleString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+      
+      if (supportsAPL(handlerInput)) {
+        const userData = await getUserData(uid);
+        addMonthCalendarDirective(handlerInput, buildMonthCalendarData(userData, yearMonth, monthName, result));
+      }
       
       return handlerInput.responseBuilder
-        .speak(`Your attendance for ${monthName} is ${percentage} percent.`)
+        .speak(`Your attendance for ${monthName} is ${result.percentage} percent.${describeSubjectBreakdown(result)}${describeUnmarkedCount(result)}`)
         .getResponse();
         
     } catch (error) {
@@ -971,6 +4195,10 @@ const MonthlyAttendanceIntentHandler = {
   }
 };
 
+function describeSessionAttendance(result) {
+  return `Your session attendance for ${result.sessionName} is ${result.percentage} percent. You have attended ${result.presentDays} out of ${result.totalWorkingDays} ${hasSubjectBreakdown(result) ? 'classes' : 'working days'}.${describeSubjectBreakdown(result)}${describeUnmarkedCount(result)}`;
+}
+
 const SessionAttendanceIntentHandler = {
   canHandle(handlerInput) {
     return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
@@ -988,10 +4216,15 @@ const SessionAttendanceIntentHandler = {
       
       const sessionNameSlot = Alexa.getSlotValue(handlerInput.requestEnvelope, 'sessionName');
       
-      const result = await calculateSessionAttendance(uid, sessionNameSlot);
+      // A name that matches no session, or several, is answered rather than falling back to the active session
+      if (sessionNameSlot) {
+        return await editNamedSession(handlerInput, uid, sessionNameSlot, { type: 'attendance' }, { confirmFuzzy: false });
+      }
+      
+      const result = await calculateSessionAttendance(uid);
       
       return handlerInput.responseBuilder
-        .speak(`Your session attendance for ${result.sessionName} is ${result.percentage} percent. You have attended ${result.presentDays} out of ${result.totalWorkingDays} working days.`)
+        .speak(describeSessionAttendance(result))
         .getResponse();
         
     } catch (error) {
@@ -1019,9 +4252,23 @@ const GetAttendancePercentageIntentHandler = {
       await migrateUserData(uid);
       
       const result = await calculateSessionAttendance(uid);
+      const subjectName = Alexa.getSlotValue(handlerInput.requestEnvelope, 'subject');
+      
+      if (subjectName) {
+        const subject = result.subjects.find(s => s.name.toLowerCase() === subjectName.toLowerCase());
+        if (!subject) {
+          return handlerInput.responseBuilder
+            .speak(`I couldn't find attendance for ${subjectName} in ${result.sessionName}.`)
+            .getResponse();
+        }
+        
+        return handlerInput.responseBuilder
+          .speak(`Your attendance for ${subject.name} is ${subject.percentage} percent for ${result.sessionName}. You have attended ${subject.presentDays} out of ${subject.totalWorkingDays} classes.`)
+          .getResponse();
+      }
       
       return handlerInput.responseBuilder
-        .speak(`Your attendance percentage is ${result.percentage} percent for ${result.sessionName}. You have attended ${result.presentDays} out of ${result.totalWorkingDays} working days.`)
+        .speak(`Your attendance percentage is ${result.percentage} percent for ${result.sessionName}. You have attended ${result.presentDays} out of ${result.totalWorkingDays} ${hasSubjectBreakdown(result) ? 'classes' : 'working days'}.${describeSubjectBreakdown(result)}${describeUnmarkedCount(result)}`)
         .getResponse();
         
     } catch (error) {
@@ -1136,7 +4383,7 @@ const GetAlexaPresetIntentHandler = {
           .getResponse();
       } else {
         return handlerInput.responseBuilder
-          .speak('You don\'t have an Alexa preset session set. You can set one by saying "set [session name] as Alexa preset".')
+          .speak('You don\'t have an Alexa preset session set, so I use the session that covers today. You can set one by saying "set [session name] as Alexa preset".')
           .getResponse();
       }
         
@@ -1168,7 +4415,7 @@ const ClearAlexaPresetIntentHandler = {
       
       if (result.success) {
         return handlerInput.responseBuilder
-          .speak('I\'ve cleared your Alexa preset session. Next time you ask for attendance, I\'ll ask which session you want to use.')
+          .speak('I\'ve cleared your Alexa preset session. From now on, I\'ll use the session that covers today.')
           .getResponse();
       } else {
         return handlerInput.responseBuilder
@@ -1177,56 +4424,496 @@ const ClearAlexaPresetIntentHandler = {
       }
         
     } catch (error) {
-      console.error('Error in ClearAlexaPresetIntent:', error);
+      console.error('Error in ClearAlexaPresetIntent:', error);
+      return handlerInput.responseBuilder
+        .speak('Sorry, I encountered an error while clearing your Alexa preset session. Please try again.')
+        .getResponse();
+    }
+  }
+};
+
+// "first", "the second one", "3" -> 0-based index of an offered session, or null
+function getSessionChoiceIndex(answer) {
+  // normalizeSessionText turns "one" into "1" as well, so "the second one" arrives as "the 2 1"
+  const match = /^(?:the )?(\d)(?: 1)?$/.exec(normalizeSessionText(answer));
+  return match && Number(match[1]) >= 1 ? Number(match[1]) - 1 : null;
+}
+
+// Ask which of several similar sessions was meant, naming each by its name and dates. With an edit
+// (see applySessionEdit) the chosen session gets that edit, or is reported on, instead of becoming
+// the Alexa preset.
+function askSessionChoice(handlerInput, candidates, edit = null) {
+  setPendingState(handlerInput, 'pendingSessionChoice', { codes: candidates.map(s => s.code), edit });
+  
+  if (candidates.length === 1) {
+    const [session] = candidates;
+    return handlerInput.responseBuilder
+      .speak(`Did you mean ${session.name}?`)
+      .reprompt(`Should I use ${session.name}?`)
+      .getResponse();
+  }
+  
+  const sameName = candidates.every(s => s.name.toLowerCase() === candidates[0].name.toLowerCase());
+  const options = candidates.map(s => sameName
+    ? `the one starting ${formatAlexaDate(s.startDate)}`
+    : `${s.name}, starting ${formatAlexaDate(s.startDate)}`);
+  const question = `${options.slice(0, -1).join(', ')}, or ${options[options.length - 1]}`;
+  
+  return handlerInput.responseBuilder
+    .speak(`${sameName ? `You have ${candidates.length} sessions called ${candidates[0].name}. ` : ''}Did you mean ${question}?`)
+    .reprompt('Which one should I use? You can say "the first one" or "the second one".')
+    .getResponse();
+}
+
+const SelectSessionIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'SelectSessionIntent';
+  },
+  async handle(handlerInput) {
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    const sessionName = Alexa.getSlotValue(handlerInput.requestEnvelope, 'sessionName');
+    
+    if (!sessionName) {
+      try {
+        const uid = await getUserKey(handlerInput);
+        
+        await ensureUserCredentials(uid);
+        await migrateUserData(uid);
+        
+        const sessions = await getAvailableSessions(uid);
+        
+        if (sessions.length === 0) {
+          return handlerInput.responseBuilder
+            .speak('You don\'t have any sessions yet. Please create a session first by saying "create session".')
+            .getResponse();
+        }
+        
+        let sessionList = sessions.slice(0, 5).map(s => s.name).join(', ');
+        if (sessions.length > 5) {
+          sessionList += ', and more';
+        }
+        
+        return handlerInput.responseBuilder
+          .speak(`Your available sessions are: ${sessionList}. Which session would you like to use?`)
+          .reprompt('Please tell me which session you want to use.')
+          .getResponse();
+          
+      } catch (error) {
+        console.error('Error listing sessions:', error);
+        return handlerInput.responseBuilder
+          .speak('Sorry, I encountered an error while fetching your sessions. Please try again.')
+          .getResponse();
+      }
+    }
+    
+    try {
+      const uid = await getUserKey(handlerInput);
+      
+      await ensureUserCredentials(uid);
+      await migrateUserData(uid);
+      
+      const sessions = await getAvailableSessions(uid);
+      const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+      
+      // Answering a disambiguation question: "the second one", or a name matched among the offered sessions first
+      const choice = sessionAttributes.pendingSessionChoice || { codes: [], edit: null };
+      const offered = sessions.filter(s => choice.codes.includes(s.code));
+      delete sessionAttributes.pendingSessionChoice;
+      handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+      
+      const choiceIndex = getSessionChoiceIndex(sessionName);
+      let resolved = null;
+      if (offered.length > 0 && choiceIndex !== null && offered[choiceIndex]) {
+        resolved = { session: offered[choiceIndex], candidates: [offered[choiceIndex]] };
+      } else if (offered.length > 0) {
+        const offeredMatch = resolveSessionQuery(offered, sessionName);
+        if (offeredMatch.session) resolved = offeredMatch;
+      }
+      resolved = resolved || resolveSessionQuery(sessions, sessionName);
+      
+      if (resolved.session && choice.edit) {
+        return handlerInput.responseBuilder
+          .speak(await applySessionEdit(handlerInput, uid, resolved.session.code, choice.edit))
+          .getResponse();
+      }
+      
+      if (resolved.session) {
+        await setAlexaPresetSession(uid, resolved.session.code);
+        return handlerInput.responseBuilder
+          .speak(`Okay, I've set ${resolved.session.name} as your current session and Alexa preset.`)
+          .getResponse();
+      }
+      
+      if (resolved.candidates.length > 0) {
+        return askSessionChoice(handlerInput, resolved.candidates, choice.edit);
+      }
+      
+      if (sessions.length === 0) {
+        return handlerInput.responseBuilder
+          .speak(`Session "${sessionName}" not found. You don't have any sessions yet. Please create a session first by saying "create session".`)
+          .getResponse();
+      }
+      
+      let sessionList = sessions.slice(0, 5).map(s => s.name).join(', ');
+      if (sessions.length > 5) {
+        sessionList += ', and more';
+      }
+      
+      return handlerInput.responseBuilder
+        .speak(`Session "${sessionName}" not found. Your available sessions are: ${sessionList}. Which session would you like to use?`)
+        .reprompt('Please tell me which session you want to use.')
+        .getResponse();
+        
+    } catch (error) {
+      console.error('Error in SelectSessionIntent:', error);
+      return handlerInput.responseBuilder
+        .speak('Sorry, I encountered an error while setting your session. Please try again.')
+        .getResponse();
+    }
+  }
+};
+
+const CREATE_SESSION_SLOTS = ['sessionName', 'startDate', 'endDate', 'setAsPreset'];
+
+// Map a spoken yes/no preset answer to 'yes' or 'no', or null if it isn't one
+function normalizePresetAnswer(value) {
+  const answer = (value || '').toLowerCase().trim();
+  if (['yes', 'yeah', 'yep', 'sure', 'true'].includes(answer)) return 'yes';
+  if (['no', 'nope', 'false'].includes(answer)) return 'no';
+  return null;
+}
+
+// The CreateSessionIntent to send back with a dialog directive, carrying the values collected so far.
+// CreateSessionWithNameIntent is chained into CreateSessionIntent so both share one dialog.
+function buildCreateSessionIntent(values, confirmationStatus = 'NONE') {
+  const slots = {};
+  CREATE_SESSION_SLOTS.forEach(name => {
+    slots[name] = { name, confirmationStatus: 'NONE' };
+    if (values[name]) slots[name].value = values[name];
+  });
+  
+  return { name: 'CreateSessionIntent', confirmationStatus, slots };
+}
+
+function elicitCreateSessionSlot(handlerInput, values, slotName, speechText, repromptText) {
+  const collected = { ...values, [slotName]: null };
+  
+  setPendingState(handlerInput, 'pendingSessionCreation', collected);
+  
+  return handlerInput.responseBuilder
+    .speak(speechText)
+    .reprompt(repromptText)
+    .addElicitSlotDirective(slotName, buildCreateSessionIntent(collected))
+    .getResponse();
+}
+
+function clearPendingSessionCreation(handlerInput) {
+  const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+  delete sessionAttributes.pendingSessionCreation;
+  handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+}
+
+// Session creation runs as an Alexa dialog: each missing or invalid slot is elicited in turn,
+// dates are resolved and checked as they arrive, and the finished session is confirmed before saving.
+// Partial dates resolve to their first day as a start date and their last day as an end date.
+// The values collected so far are kept in pendingSessionCreation so an interrupted dialog can be resumed.
+async function continueSessionCreation(handlerInput, values, confirmationStatus = 'NONE') {
+  if (confirmationStatus === 'DENIED') {
+    clearPendingSessionCreation(handlerInput);
+    return handlerInput.responseBuilder
+      .speak('Okay, I won\'t create that session. Let me know if you need anything else.')
+      .getResponse();
+  }
+  
+  if (!values.sessionName) {
+    return elicitCreateSessionSlot(handlerInput, values, 'sessionName',
+      'Okay, let\'s create a new session. What would you like to name this session? For example, "Summer 2024" or "Academic Year 2024-25".',
+      'What should I call this session?');
+  }
+  
+  const sessionName = values.sessionName;
+  
+  if (!values.startDate) {
+    return elicitCreateSessionSlot(handlerInput, values, 'startDate',
+      `Okay, I'll create session "${sessionName}". When does this session start? Please provide a start date like "June 1st 2024" or "2024-06-01".`,
+      'Please tell me the start date for this session.');
+  }
+  
+  const startBounds = getDateBounds(values.startDate);
+  if (!startBounds) {
+    return elicitCreateSessionSlot(handlerInput, values, 'startDate',
+      'I didn\'t catch the start date. Please provide a start date like "June 1st 2024" or "2024-06-01".',
+      'When does the session start?');
+  }
+  values.startDate = startBounds.startDate;
+  
+  if (!values.endDate) {
+    return elicitCreateSessionSlot(handlerInput, values, 'endDate',
+      `Okay, starting on ${formatAlexaDate(values.startDate)}. When does the session end?`,
+      'Please provide an end date for the session.');
+  }
+  
+  const endBounds = getDateBounds(values.endDate);
+  if (!endBounds) {
+    return elicitCreateSessionSlot(handlerInput, values, 'endDate',
+      'I didn\'t catch the end date. Please provide an end date like "August 31st 2024" or "2024-08-31".',
+      'When does the session end?');
+  }
+  values.endDate = endBounds.endDate;
+  
+  const uid = await getUserKey(handlerInput);
+  
+  await ensureUserCredentials(uid);
+  await migrateUserData(uid);
+  
+  const validation = validateSessionRange(await getAvailableSessions(uid), sessionName, values.startDate, values.endDate);
+  
+  if (validation.error) {
+    return elicitCreateSessionSlot(handlerInput, values, 'endDate',
+      `${formatAlexaDate(values.endDate)} is before the start date, ${formatAlexaDate(values.startDate)}. When does the session end?`,
+      `Please give me an end date after ${formatAlexaDate(values.startDate)}.`);
+  }
+  
+  const presetAnswer = normalizePresetAnswer(values.setAsPreset);
+  if (!presetAnswer) {
+    return elicitCreateSessionSlot(handlerInput, values, 'setAsPreset',
+      `Should I make "${sessionName}" your Alexa preset session?`,
+      'Say yes to make it your Alexa preset session, or no to keep your current one.');
+  }
+  values.setAsPreset = presetAnswer;
+  
+  if (confirmationStatus !== 'CONFIRMED') {
+    let speechText = `Should I create "${sessionName}" from ${formatAlexaDate(values.startDate)} to ${formatAlexaDate(values.endDate)}`;
+    speechText += presetAnswer === 'yes' ? ' as your Alexa preset session?' : '?';
+    
+    if (validation.overlaps.length > 0) {
+      const overlapText = joinSpokenList(validation.overlaps.map(s => 
+        s.endDate ? `${s.name}, which runs from ${formatAlexaDate(s.startDate)} to ${formatAlexaDate(s.endDate)}` : `${s.name}, which starts on ${formatAlexaDate(s.startDate)}`
+      ));
+      speechText = `Note that it overlaps with ${overlapText}. ${speechText}`;
+    }
+    
+    setPendingState(handlerInput, 'pendingSessionCreation', { ...values });
+    
+    return handlerInput.responseBuilder
+      .speak(speechText)
+      .reprompt('Should I create the session?')
+      .addConfirmIntentDirective(buildCreateSessionIntent(values))
+      .getResponse();
+  }
+  
+  const shouldSetAsPreset = presetAnswer === 'yes';
+  const sessionData = await saveSession(uid, sessionName, values.startDate, values.endDate, shouldSetAsPreset);
+  clearPendingSessionCreation(handlerInput);
+  
+  let speechText = `Successfully created session "${sessionData.name}" from ${formatAlexaDate(values.startDate)} to ${formatAlexaDate(values.endDate)}.`;
+  if (shouldSetAsPreset) {
+    speechText += ' I\'ve also set it as your Alexa preset session.';
+  }
+  
+  return handlerInput.responseBuilder
+    .speak(speechText)
+    .getResponse();
+}
+
+const CreateSessionIntentHandler = {
+  canHandle(handlerInput) {
+    if (Alexa.getRequestType(handlerInput.requestEnvelope) !== 'IntentRequest') return false;
+    
+    const intentName = Alexa.getIntentName(handlerInput.requestEnvelope);
+    return intentName === 'CreateSessionIntent' || intentName === 'CreateSessionWithNameIntent';
+  },
+  async handle(handlerInput) {
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    const intent = handlerInput.requestEnvelope.request.intent;
+    const values = {};
+    CREATE_SESSION_SLOTS.forEach(name => {
+      values[name] = Alexa.getSlotValue(handlerInput.requestEnvelope, name) || null;
+    });
+    
+    // Only CreateSessionIntent is ever sent for confirmation, so a chained intent always starts unconfirmed
+    const confirmationStatus = intent.name === 'CreateSessionIntent' ? intent.confirmationStatus : 'NONE';
+    
+    try {
+      return await continueSessionCreation(handlerInput, values, confirmationStatus);
+    } catch (error) {
+      console.error('Error in CreateSessionIntent:', error);
+      return handlerInput.responseBuilder
+        .speak('Sorry, I encountered an error while creating the session. Please try again.')
+        .getResponse();
+    }
+  }
+};
+
+const DateIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'DateIntent';
+  },
+  async handle(handlerInput) {
+    const dateValue = Alexa.getSlotValue(handlerInput.requestEnvelope, 'date');
+    if (dateValue) {
+      return handlerInput.responseBuilder
+        .speak(`You said the date is ${formatAlexaDate(dateValue)}. What would you like to do with this date?`)
+        .reprompt('What would you like to do with this date?')
+        .getResponse();
+    }
+    
+    return handlerInput.responseBuilder
+      .speak('I\'m not sure what date you\'re referring to. Please try again.')
+      .getResponse();
+  }
+};
+
+const ListSessionsIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'ListSessionsIntent';
+  },
+  async handle(handlerInput) {
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    try {
+      const uid = await getUserKey(handlerInput);
+      
+      await ensureUserCredentials(uid);
+      await migrateUserData(uid);
+      
+      const sessions = await getAvailableSessions(uid);
+      const presetSession = await getAlexaPresetSession(uid);
+      
+      if (sessions.length === 0) {
+        return handlerInput.responseBuilder
+          .speak('You don\'t have any sessions yet. You can create one by saying "create session".')
+          .getResponse();
+      }
+      
+      let speechText = `You have ${sessions.length} session${sessions.length > 1 ? 's' : ''}: `;
+      
+      sessions.slice(0, 5).forEach((session, index) => {
+        speechText += `${session.name}`;
+        if (session.isSelected) {
+          speechText += ' (Alexa preset)';
+        }
+        if (index < Math.min(sessions.length, 5) - 1) {
+          speechText += ', ';
+        }
+      });
+      
+      if (sessions.length > 5) {
+        speechText += `, and ${sessions.length - 5} more`;
+      }
+      
+      if (presetSession) {
+        speechText += `. Your Alexa preset session is ${presetSession.name}.`;
+      }
+      
+      return handlerInput.responseBuilder
+        .speak(speechText)
+        .getResponse();
+        
+    } catch (error) {
+      console.error('Error in ListSessionsIntent:', error);
       return handlerInput.responseBuilder
-        .speak('Sorry, I encountered an error while clearing your Alexa preset session. Please try again.')
+        .speak('Sorry, I encountered an error while listing your sessions. Please try again.')
         .getResponse();
     }
   }
 };
 
-const SelectSessionIntentHandler = {
+// Apply an edit to a session and describe the result. Edits are { type: 'rename', newName },
+// { type: 'dates', startDate, endDate }, { type: 'daysOff', intentName, days } and { type: 'holidays' };
+// { type: 'attendance' } and { type: 'listDaysOff' } only report on the session.
+async function applySessionEdit(handlerInput, uid, code, edit) {
+  if (edit.type === 'attendance') {
+    return describeSessionAttendance(await calculateSessionAttendance(uid, code));
+  }
+  
+  if (edit.type === 'daysOff') {
+    return changeDaysOff(handlerInput, uid, code, edit);
+  }
+  
+  if (edit.type === 'holidays') {
+    return useSessionHolidays(uid, code);
+  }
+  
+  if (edit.type === 'listDaysOff') {
+    const userData = await getUserData(uid);
+    const session = (userData.sessions || []).find(s => s.code === code);
+    if (!session) return 'That session no longer exists. Say "list sessions" to hear your sessions.';
+    return describeDaysOff(getWeeklyDaysOff(getSessionCalendar(userData, session)), session.name);
+  }
+  
+  if (edit.type === 'rename') {
+    const result = await renameSession(uid, code, edit.newName);
+    
+    if (!result.success) {
+      return result.session
+        ? `You already have a session called ${result.session.name}. Please pick a different name.`
+        : 'That session no longer exists. Say "list sessions" to hear your sessions.';
+    }
+    return `Okay, I've renamed ${result.oldName} to ${result.session.name}.`;
+  }
+  
+  const result = await updateSessionDates(uid, code, { startDate: edit.startDate, endDate: edit.endDate });
+  
+  if (!result.success) {
+    return result.session
+      ? `That would make ${result.session.name} end on ${formatAlexaDate(result.session.endDate)}, before it starts on ${formatAlexaDate(result.session.startDate)}. I haven't changed anything.`
+      : 'That session no longer exists. Say "list sessions" to hear your sessions.';
+  }
+  
+  const { session, overlaps } = result;
+  let speechText = `Okay, ${session.name} now runs from ${formatAlexaDate(session.startDate)} to ${formatAlexaDate(session.endDate)}.`;
+  if (overlaps.length > 0) {
+    speechText += ` Note that it now overlaps with ${joinSpokenList(overlaps.map(s => s.name))}.`;
+  }
+  return speechText;
+}
+
+// Apply an edit to the named session straight away only when it was named exactly; a fuzzy or
+// ambiguous match is confirmed first. Reports pass confirmFuzzy: false and only ask when it's ambiguous.
+async function editNamedSession(handlerInput, uid, sessionName, edit, { confirmFuzzy = true } = {}) {
+  const resolved = resolveSessionQuery(await getAvailableSessions(uid), sessionName);
+  
+  if (resolved.candidates.length === 0) {
+    return handlerInput.responseBuilder
+      .speak(`Session "${sessionName}" not found. Say "list sessions" to hear your sessions.`)
+      .getResponse();
+  }
+  
+  if (!resolved.session || (confirmFuzzy && !isExactSessionMatch(resolved.session, sessionName))) {
+    return askSessionChoice(handlerInput, resolved.candidates, edit);
+  }
+  
+  return handlerInput.responseBuilder
+    .speak(await applySessionEdit(handlerInput, uid, resolved.session.code, edit))
+    .getResponse();
+}
+
+const RenameSessionIntentHandler = {
   canHandle(handlerInput) {
     return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
-           Alexa.getIntentName(handlerInput.requestEnvelope) === 'SelectSessionIntent';
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'RenameSessionIntent';
   },
   async handle(handlerInput) {
     const accessToken = getAccessToken(handlerInput);
     if (!accessToken) return requireAccountLinking(handlerInput);
     
     const sessionName = Alexa.getSlotValue(handlerInput.requestEnvelope, 'sessionName');
+    const newName = Alexa.getSlotValue(handlerInput.requestEnvelope, 'newName');
     
-    if (!sessionName) {
-      try {
-        const uid = await getUserKey(handlerInput);
-        
-        await ensureUserCredentials(uid);
-        await migrateUserData(uid);
-        
-        const sessions = await getAvailableSessions(uid);
-        
-        if (sessions.length === 0) {
-          return handlerInput.responseBuilder
-            .speak('You don\'t have any sessions yet. Please create a session first by saying "create session".')
-            .getResponse();
-        }
-        
-        let sessionList = sessions.slice(0, 5).map(s => s.name).join(', ');
-        if (sessions.length > 5) {
-          sessionList += ', and more';
-        }
-        
-        return handlerInput.responseBuilder
-          .speak(`Your available sessions are: ${sessionList}. Which session would you like to use?`)
-          .reprompt('Please tell me which session you want to use.')
-          .getResponse();
-          
-      } catch (error) {
-        console.error('Error listing sessions:', error);
-        return handlerInput.responseBuilder
-          .speak('Sorry, I encountered an error while fetching your sessions. Please try again.')
-          .getResponse();
-      }
+    if (!sessionName || !newName) {
+      return handlerInput.responseBuilder
+        .speak('Please tell me the session and its new name, like "rename session Spring to Spring 2025".')
+        .reprompt('Which session should I rename, and to what?')
+        .getResponse();
     }
     
     try {
@@ -1235,73 +4922,49 @@ const SelectSessionIntentHandler = {
       await ensureUserCredentials(uid);
       await migrateUserData(uid);
       
-      const sessions = await getAvailableSessions(uid);
-      
-      const exactCodeMatch = sessions.find(s => s.code === sessionName);
-      if (exactCodeMatch) {
-        await setAlexaPresetSession(uid, exactCodeMatch.code);
-        return handlerInput.responseBuilder
-          .speak(`Okay, I've set ${exactCodeMatch.name} as your current session and Alexa preset.`)
-          .getResponse();
-      }
-      
-      const nameMatches = sessions.filter(s => 
-        s.name.toLowerCase() === sessionName.toLowerCase()
-      );
+      return await editNamedSession(handlerInput, uid, sessionName, { type: 'rename', newName });
       
-      if (nameMatches.length === 1) {
-        await setAlexaPresetSession(uid, nameMatches[0].code);
-        return handlerInput.responseBuilder
-          .speak(`Okay, I've set ${nameMatches[0].name} as your current session and Alexa preset.`)
-          .getResponse();
-      } else if (nameMatches.length > 1) {
-        const sessionCodes = nameMatches.map(s => s.code).join(', ');
-        const dateRanges = nameMatches.map(s => 
-          `${formatAlexaDate(s.startDate)} to ${formatAlexaDate(s.endDate)}`
-        ).join(' and ');
-        
-        return handlerInput.responseBuilder
-          .speak(`I found ${nameMatches.length} sessions named "${sessionName}" with date ranges: ${dateRanges}. Please specify which one by using the session code: ${sessionCodes}`)
-          .reprompt('Please tell me the session code to select the correct session.')
-          .getResponse();
-      } else {
-        if (sessions.length === 0) {
-          return handlerInput.responseBuilder
-            .speak(`Session "${sessionName}" not found. You don't have any sessions yet. Please create a session first by saying "create session".`)
-            .getResponse();
-        }
-        
-        let sessionList = sessions.slice(0, 5).map(s => s.name).join(', ');
-        if (sessions.length > 5) {
-          sessionList += ', and more';
-        }
-        
-        return handlerInput.responseBuilder
-          .speak(`Session "${sessionName}" not found. Your available sessions are: ${sessionList}. Which session would you like to use?`)
-          .reprompt('Please tell me which session you want to use.')
-          .getResponse();
-      }
-        
     } catch (error) {
-      console.error('Error in SelectSessionIntent:', error);
+      console.error('Error in RenameSessionIntent:', error);
       return handlerInput.responseBuilder
-        .speak('Sorry, I encountered an error while setting your session. Please try again.')
+        .speak('Sorry, I encountered an error while renaming the session. Please try again.')
         .getResponse();
     }
   }
 };
 
-const CreateSessionIntentHandler = {
+const ChangeSessionDatesIntentHandler = {
   canHandle(handlerInput) {
     return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
-           Alexa.getIntentName(handlerInput.requestEnvelope) === 'CreateSessionIntent';
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'ChangeSessionDatesIntent';
   },
   async handle(handlerInput) {
     const accessToken = getAccessToken(handlerInput);
     if (!accessToken) return requireAccountLinking(handlerInput);
     
-    const setAsPreset = Alexa.getSlotValue(handlerInput.requestEnvelope, 'setAsPreset');
-    const shouldSetAsPreset = setAsPreset === 'yes' || setAsPreset === 'true';
+    const sessionName = Alexa.getSlotValue(handlerInput.requestEnvelope, 'sessionName');
+    const startValue = Alexa.getSlotValue(handlerInput.requestEnvelope, 'startDate');
+    const endValue = Alexa.getSlotValue(handlerInput.requestEnvelope, 'endDate');
+    
+    if (!sessionName || (!startValue && !endValue)) {
+      return handlerInput.responseBuilder
+        .speak('Please tell me the session and the new date, like "change the end date of Spring to May thirtieth".')
+        .reprompt('Which session should I change, and to what date?')
+        .getResponse();
+    }
+    
+    // A month or year given as a start date means its first day, as an end date its last day
+    const startBounds = startValue ? getDateBounds(startValue) : null;
+    const endBounds = endValue ? getDateBounds(endValue) : null;
+    
+    if ((startValue && !startBounds) || (endValue && !endBounds)) {
+      return handlerInput.responseBuilder
+        .speak('Please give me a specific date, like "June first 2025".')
+        .getResponse();
+    }
+    
+    const startDate = startBounds && startBounds.startDate;
+    const endDate = endBounds && endBounds.endDate;
     
     try {
       const uid = await getUserKey(handlerInput);
@@ -1309,47 +4972,32 @@ const CreateSessionIntentHandler = {
       await ensureUserCredentials(uid);
       await migrateUserData(uid);
       
-      const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
-      sessionAttributes.inSessionCreation = true;
-      sessionAttributes.sessionCreationStep = 'name';
-      sessionAttributes.shouldSetAsPreset = shouldSetAsPreset;
-      handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
-      
-      let speechText = 'Okay, let\'s create a new session. What would you like to name this session?';
-      if (shouldSetAsPreset) {
-        speechText += ' This session will be set as your Alexa preset.';
-      }
+      return await editNamedSession(handlerInput, uid, sessionName, { type: 'dates', startDate, endDate });
       
-      return handlerInput.responseBuilder
-        .speak(speechText)
-        .reprompt('What should I call this session?')
-        .getResponse();
     } catch (error) {
-      console.error('Error in CreateSessionIntent:', error);
+      console.error('Error in ChangeSessionDatesIntent:', error);
       return handlerInput.responseBuilder
-        .speak('Sorry, I encountered an error while starting session creation. Please try again.')
+        .speak('Sorry, I encountered an error while changing the session dates. Please try again.')
         .getResponse();
     }
   }
 };
 
-const CreateSessionWithNameIntentHandler = {
+const DeleteSessionIntentHandler = {
   canHandle(handlerInput) {
     return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
-           Alexa.getIntentName(handlerInput.requestEnvelope) === 'CreateSessionWithNameIntent';
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'DeleteSessionIntent';
   },
   async handle(handlerInput) {
     const accessToken = getAccessToken(handlerInput);
     if (!accessToken) return requireAccountLinking(handlerInput);
     
     const sessionName = Alexa.getSlotValue(handlerInput.requestEnvelope, 'sessionName');
-    const setAsPreset = Alexa.getSlotValue(handlerInput.requestEnvelope, 'setAsPreset');
-    const shouldSetAsPreset = setAsPreset === 'yes' || setAsPreset === 'true';
     
     if (!sessionName) {
       return handlerInput.responseBuilder
-        .speak('Please provide a session name. For example, say "create session called Summer 2024".')
-        .reprompt('What would you like to name this session?')
+        .speak('Which session would you like to delete?')
+        .reprompt('Please tell me the name or code of the session to delete.')
         .getResponse();
     }
     
@@ -1359,208 +5007,189 @@ const CreateSessionWithNameIntentHandler = {
       await ensureUserCredentials(uid);
       await migrateUserData(uid);
       
-      const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
-      sessionAttributes.inSessionCreation = true;
-      sessionAttributes.sessionCreationStep = 'startDate';
-      sessionAttributes.pendingSessionName = sessionName;
-      sessionAttributes.shouldSetAsPreset = shouldSetAsPreset;
-      handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+      const session = findSessionByIdentifier(await getAvailableSessions(uid), sessionName);
+      
+      if (!session) {
+        return handlerInput.responseBuilder
+          .speak(`Session "${sessionName}" not found. Say "list sessions" to hear your sessions.`)
+          .getResponse();
+      }
       
+      setPendingState(handlerInput, 'pendingSessionDelete', { code: session.code, name: session.name });
+      
+      const presetNote = session.isSelected ? ' It is your Alexa preset session.' : '';
       return handlerInput.responseBuilder
-        .speak(`Okay, I'll create session "${sessionName}". When does this session start? Please provide a start date like "June 1st 2024" or "2024-06-01".`)
-        .reprompt('Please tell me the start date for this session.')
+        .speak(`Are you sure you want to delete ${session.name}?${presetNote} Your attendance records will be kept.`)
+        .reprompt(`Should I delete ${session.name}?`)
         .getResponse();
-        
+      
     } catch (error) {
-      console.error('Error in CreateSessionWithNameIntent:', error);
+      console.error('Error in DeleteSessionIntent:', error);
       return handlerInput.responseBuilder
-        .speak('Sorry, I encountered an error while creating the session. Please try again.')
+        .speak('Sorry, I encountered an error while deleting the session. Please try again.')
         .getResponse();
     }
   }
 };
 
-const DateIntentHandler = {
+const YesIntentHandler = {
   canHandle(handlerInput) {
     return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
-           Alexa.getIntentName(handlerInput.requestEnvelope) === 'DateIntent';
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'AMAZON.YesIntent';
   },
   async handle(handlerInput) {
     const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
-    const uid = await getUserKey(handlerInput);
     
-    if (sessionAttributes.inSessionCreation) {
-      const dateValue = Alexa.getSlotValue(handlerInput.requestEnvelope, 'date');
+    if (sessionAttributes.resumeOffer) {
+      try {
+        return await resumePendingState(handlerInput);
+      } catch (error) {
+        console.error('Error resuming pending state:', error);
+        return handlerInput.responseBuilder
+          .speak('Sorry, I couldn\'t pick up where you left off. What would you like to do?')
+          .reprompt('What would you like to do?')
+          .getResponse();
+      }
+    }
+    
+    if (sessionAttributes.pendingSessionChoice && sessionAttributes.pendingSessionChoice.codes.length === 1) {
+      const { codes: [code], edit } = sessionAttributes.pendingSessionChoice;
       
-      if (sessionAttributes.sessionCreationStep === 'startDate') {
-        if (dateValue) {
-          sessionAttributes.pendingStartDate = dateValue;
-          sessionAttributes.sessionCreationStep = 'endDate';
-          handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
-          
-          return handlerInput.responseBuilder
-            .speak(`Okay, starting on ${formatAlexaDate(dateValue)}. When does the session end?`)
-            .reprompt('Please provide an end date for the session.')
-            .getResponse();
-        } else {
-          return handlerInput.responseBuilder
-            .speak('I didn\'t catch the start date. Please provide a start date like "June 1st 2024" or "2024-06-01".')
-            .reprompt('When does the session start?')
-            .getResponse();
-        }
-      } 
-      else if (sessionAttributes.sessionCreationStep === 'endDate') {
-        if (dateValue) {
-          const sessionName = sessionAttributes.pendingSessionName;
-          const startDate = sessionAttributes.pendingStartDate;
-          const endDate = dateValue;
-          const shouldSetAsPreset = sessionAttributes.shouldSetAsPreset || false;
-          
-          const sessionData = await saveSession(uid, sessionName, startDate, endDate, shouldSetAsPreset);
-          
-          delete sessionAttributes.inSessionCreation;
-          delete sessionAttributes.sessionCreationStep;
-          delete sessionAttributes.pendingSessionName;
-          delete sessionAttributes.pendingStartDate;
-          delete sessionAttributes.shouldSetAsPreset;
-          handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
-          
-          let speechText = `Successfully created session "${sessionData.name}" from ${formatAlexaDate(startDate)} to ${formatAlexaDate(endDate)}.`;
-          if (shouldSetAsPreset) {
-            speechText += ' I\'ve also set it as your Alexa preset session.';
-          }
-          
-          return handlerInput.responseBuilder
-            .speak(speechText)
-            .getResponse();
-        } else {
+      try {
+        const uid = await getUserKey(handlerInput);
+        
+        delete sessionAttributes.pendingSessionChoice;
+        handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+        
+        if (edit) {
           return handlerInput.responseBuilder
-            .speak('I didn\'t catch the end date. Please provide an end date like "August 31st 2024" or "2024-08-31".')
-            .reprompt('When does the session end?')
+            .speak(await applySessionEdit(handlerInput, uid, code, edit))
             .getResponse();
         }
+        
+        const result = await setAlexaPresetSession(uid, code);
+        
+        return handlerInput.responseBuilder
+          .speak(result.success
+            ? `Okay, I've set ${result.session.name} as your current session and Alexa preset.`
+            : 'That session no longer exists. Say "list sessions" to hear your sessions.')
+          .getResponse();
+      } catch (error) {
+        console.error('Error confirming session choice:', error);
+        return handlerInput.responseBuilder
+          .speak('Sorry, I encountered an error while setting your session. Please try again.')
+          .getResponse();
       }
     }
     
-    const dateValue = Alexa.getSlotValue(handlerInput.requestEnvelope, 'date');
-    if (dateValue) {
-      return handlerInput.responseBuilder
-        .speak(`You said the date is ${formatAlexaDate(dateValue)}. What would you like to do with this date?`)
-        .reprompt('What would you like to do with this date?')
-        .getResponse();
-    }
-    
-    return handlerInput.responseBuilder
-      .speak('I\'m not sure what date you\'re referring to. Please try again.')
-      .getResponse();
-  }
-};
-
-const ListSessionsIntentHandler = {
-  canHandle(handlerInput) {
-    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
-           Alexa.getIntentName(handlerInput.requestEnvelope) === 'ListSessionsIntent';
-  },
-  async handle(handlerInput) {
-    const accessToken = getAccessToken(handlerInput);
-    if (!accessToken) return requireAccountLinking(handlerInput);
-    
-    try {
+    if (sessionAttributes.pendingStatusChange) {
+      const { date, newStatus, oldStatus, holidayName, subject } = sessionAttributes.pendingStatusChange;
       const uid = await getUserKey(handlerInput);
       
-      await ensureUserCredentials(uid);
-      await migrateUserData(uid);
-      
-      const sessions = await getAvailableSessions(uid);
-      const presetSession = await getAlexaPresetSession(uid);
-      
-      if (sessions.length === 0) {
-        return handlerInput.responseBuilder
-          .speak('You don\'t have any sessions yet. You can create one by saying "create session".')
-          .getResponse();
-      }
-      
-      let speechText = `You have ${sessions.length} session${sessions.length > 1 ? 's' : ''}: `;
-      
-      sessions.slice(0, 5).forEach((session, index) => {
-        speechText += `${session.name}`;
-        if (session.isSelected) {
-          speechText += ' (Alexa preset)';
+      try {
+        await ensureUserCredentials(uid);
+        await migrateUserData(uid);
+        
+        if (subject) {
+          await setSubjectStatus(uid, date, subject, newStatus);
+        } else {
+          await setDayStatus(uid, date, newStatus, { holidayName });
         }
-        if (index < Math.min(sessions.length, 5) - 1) {
-          speechText += ', ';
+        
+        delete sessionAttributes.pendingStatusChange;
+        handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+        
+        const dayText = describeDate(date, getRequestTimeZone(handlerInput));
+        let speechText = subject
+          ? `Okay, I've changed ${subject} ${dayText === 'today' ? 'today' : `on ${dayText}`} from ${oldStatus} to ${newStatus}`
+          : `Okay, I've changed ${dayText} from ${oldStatus} to ${newStatus}`;
+        if (newStatus === 'holiday' && holidayName) {
+          speechText += ` for ${holidayName}`;
         }
-      });
-      
-      if (sessions.length > 5) {
-        speechText += `, and ${sessions.length - 5} more`;
-      }
-      
-      if (presetSession) {
-        speechText += `. Your Alexa preset session is ${presetSession.name}.`;
-      }
-      
-      return handlerInput.responseBuilder
-        .speak(speechText)
-        .getResponse();
+        speechText += '.';
         
-    } catch (error) {
-      console.error('Error in ListSessionsIntent:', error);
-      return handlerInput.responseBuilder
-        .speak('Sorry, I encountered an error while listing your sessions. Please try again.')
-        .getResponse();
+        return handlerInput.responseBuilder
+          .speak(speechText)
+          .getResponse();
+          
+      } catch (error) {
+        console.error('Error confirming status change:', error);
+        return handlerInput.responseBuilder
+          .speak('Sorry, I encountered an error while updating the status. Please try again.')
+          .getResponse();
+      }
     }
-  }
-};
-
-const YesIntentHandler = {
-  canHandle(handlerInput) {
-    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
-           Alexa.getIntentName(handlerInput.requestEnvelope) === 'AMAZON.YesIntent';
-  },
-  async handle(handlerInput) {
-    const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
     
-    if (sessionAttributes.pendingStatusChange) {
-      const { date, newStatus, oldStatus, holidayName } = sessionAttributes.pendingStatusChange;
+    if (sessionAttributes.pendingRangeChange) {
+      const { startDate, endDate, dates, newStatus, holidayName, skippedCount } = sessionAttributes.pendingRangeChange;
       const uid = await getUserKey(handlerInput);
       
       try {
         await ensureUserCredentials(uid);
         await migrateUserData(uid);
         
-        await setDayStatus(uid, date, newStatus, { holidayName });
+        await setDayStatuses(uid, dates, newStatus, { holidayName });
         
-        delete sessionAttributes.pendingStatusChange;
+        delete sessionAttributes.pendingRangeChange;
         handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
         
-        let speechText = `Okay, I've changed ${date} from ${oldStatus} to ${newStatus}`;
+        let speechText = `Okay, I've marked ${dates.length} working day${dates.length > 1 ? 's' : ''} from ${formatAlexaDate(startDate)} to ${formatAlexaDate(endDate)} as ${newStatus.replace('-', ' ')}`;
         if (newStatus === 'holiday' && holidayName) {
           speechText += ` for ${holidayName}`;
         }
         speechText += '.';
+        if (skippedCount > 0) {
+          speechText += ` I skipped ${skippedCount} non-working day${skippedCount > 1 ? 's' : ''}.`;
+        }
         
         return handlerInput.responseBuilder
           .speak(speechText)
           .getResponse();
-          
+        
       } catch (error) {
-        console.error('Error confirming status change:', error);
+        console.error('Error confirming range change:', error);
         return handlerInput.responseBuilder
-          .speak('Sorry, I encountered an error while updating the status. Please try again.')
+          .speak('Sorry, I encountered an error while updating those days. Please try again.')
           .getResponse();
       }
     }
     
-    if (!sessionAttributes.inSessionCreation && !sessionAttributes.pendingStatusChange) {
-      sessionAttributes.inSessionCreation = true;
-      sessionAttributes.sessionCreationStep = 'name';
-      handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+    if (sessionAttributes.pendingSessionDelete) {
+      const { code, name } = sessionAttributes.pendingSessionDelete;
+      const uid = await getUserKey(handlerInput);
       
-      return handlerInput.responseBuilder
-        .speak('Great! What would you like to name this session? For example, "Summer 2024" or "Academic Year 2024-25".')
-        .reprompt('What should I call this session?')
-        .getResponse();
+      try {
+        await ensureUserCredentials(uid);
+        await migrateUserData(uid);
+        
+        const result = await deleteSession(uid, code);
+        
+        delete sessionAttributes.pendingSessionDelete;
+        handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+        
+        if (!result.success) {
+          return handlerInput.responseBuilder
+            .speak(`${name} has already been deleted.`)
+            .getResponse();
+        }
+        
+        let speechText = `Okay, I've deleted ${name}.`;
+        if (result.wasSelected) {
+          speechText += result.remainingSessions.length > 0
+            ? ` It was your Alexa preset, so no session is selected now. Say "use session" followed by a name to pick another one, like ${result.remainingSessions[0].name}.`
+            : ' It was your only session. Say "create session" to start a new one.';
+        }
+        
+        return handlerInput.responseBuilder
+          .speak(speechText)
+          .getResponse();
+        
+      } catch (error) {
+        console.error('Error confirming session delete:', error);
+        return handlerInput.responseBuilder
+          .speak('Sorry, I encountered an error while deleting the session. Please try again.')
+          .getResponse();
+      }
     }
     
     const speechText = 'Okay, what would you like to do next?';
@@ -1576,17 +5205,36 @@ const NoIntentHandler = {
     return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
            Alexa.getIntentName(handlerInput.requestEnvelope) === 'AMAZON.NoIntent';
   },
-  handle(handlerInput) {
+  async handle(handlerInput) {
     const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+    
+    if (sessionAttributes.resumeOffer) {
+      delete sessionAttributes.resumeOffer;
+      handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+      
+      try {
+        await clearSavedPendingState(handlerInput);
+      } catch (error) {
+        console.error('Error clearing pending state:', error);
+      }
+      
+      return handlerInput.responseBuilder
+        .speak('Okay, I\'ve discarded it. What would you like to do?')
+        .reprompt('What would you like to do? You can say mark present, mark absent, or ask for attendance percentage.')
+        .getResponse();
+    }
+    
     if (sessionAttributes.pendingStatusChange) {
       delete sessionAttributes.pendingStatusChange;
     }
-    if (sessionAttributes.inSessionCreation) {
-      delete sessionAttributes.inSessionCreation;
-      delete sessionAttributes.sessionCreationStep;
-      delete sessionAttributes.pendingSessionName;
-      delete sessionAttributes.pendingStartDate;
-      delete sessionAttributes.shouldSetAsPreset;
+    if (sessionAttributes.pendingRangeChange) {
+      delete sessionAttributes.pendingRangeChange;
+    }
+    if (sessionAttributes.pendingSessionDelete) {
+      delete sessionAttributes.pendingSessionDelete;
+    }
+    if (sessionAttributes.pendingSessionChoice) {
+      delete sessionAttributes.pendingSessionChoice;
     }
     handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
     
@@ -1604,7 +5252,7 @@ const HelpIntentHandler = {
            Alexa.getIntentName(handlerInput.requestEnvelope) === 'AMAZON.HelpIntent';
   },
   handle(handlerInput) {
-    const speechText = 'You can mark your attendance by saying: "mark present", "mark absent", or "mark holiday for [holiday name]". You can also ask for "monthly attendance" or "session attendance" to get your percentage. To create a session, say "create session" or "create session Summer 2024". When asked for dates, you can say things like "June first 2024" or "2024-06-01". To switch sessions, say "use session [session name]" or "use session [session code]". You can also set an Alexa preset session by saying "set [session name] as Alexa preset". What would you like to do?';
+    const speechText = 'You can mark your attendance by saying: "mark present", "mark absent", or "mark holiday for [holiday name]". Add a day to mark a different date, like "mark me absent yesterday", or a range, like "mark me absent from Monday to Wednesday". To track subjects, say "add subject Physics on Monday and Wednesday", then "mark absent for Physics today". To check a day, ask "was I present on March third?" or "what did I miss this week?", and say "fill in my missing days" to go through your unmarked days. You can also ask for "monthly attendance" or "session attendance" to get your percentage, or "how many classes can I skip" to plan against your target. For trends, ask "how long is my streak?", "which day do I miss most?" or "how does this month compare to last month?". To change your days off, say "I don\'t have class on Saturdays" or "I have class on Sundays" (add a session name to change just that session), add closures like "we\'re closed on the second and fourth Saturday" or "every other Saturday starting March eighth", and add breaks like "add Diwali break from October twentieth to October twenty seventh". To get a daily nudge, say "remind me to mark attendance at 6 PM". To create a session, say "create session" or "create session Summer 2024". When asked for dates, you can say things like "June first 2024" or "2024-06-01". To switch sessions, say "use session [session name]" or "use session [session code]". To manage a session, say "rename session [name] to [new name]", "change the end date of [name] to [date]", or "delete session [name]". You can also set an Alexa preset session by saying "set [session name] as Alexa preset"; without one, I use the session that covers today. What would you like to do?';
     
     return handlerInput.responseBuilder
       .speak(speechText)
@@ -1643,6 +5291,53 @@ const FallbackIntentHandler = {
   }
 };
 
+const CalendarDayTouchHandler = {
+  canHandle(handlerInput) {
+    if (Alexa.getRequestType(handlerInput.requestEnvelope) !== 'Alexa.Presentation.APL.UserEvent') return false;
+    const args = handlerInput.requestEnvelope.request.arguments || [];
+    return args[0] === CALENDAR_TOGGLE_EVENT;
+  },
+  async handle(handlerInput) {
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    const [, date, yearMonth] = handlerInput.requestEnvelope.request.arguments;
+    
+    if (!isValidCalendarDate(date) || !/^\d{4}-\d{2}$/.test(yearMonth || '')) {
+      return handlerInput.responseBuilder.getResponse();
+    }
+    
+    try {
+      const uid = await getUserKey(handlerInput);
+      
+      await ensureUserCredentials(uid);
+      await migrateUserData(uid);
+      
+      const userData = await getUserData(uid);
+      const today = getFormattedDate(new Date(), userData.timeZone);
+      const nextStatus = CALENDAR_TAP_CYCLE[getCalendarDayStatus(userData, date, today)];
+      
+      if (nextStatus) {
+        await setDayStatus(uid, date, nextStatus);
+      }
+      
+      const result = await calculateMonthlyAttendance(uid, yearMonth);
+      const updatedUserData = await getUserData(uid);
+      const monthName = new Date(`${yearMonth}-01T00:00:00Z`).toLocaleString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+      
+      addMonthCalendarDirective(handlerInput, buildMonthCalendarData(updatedUserData, yearMonth, monthName, result));
+      
+      return handlerInput.responseBuilder.getResponse();
+      
+    } catch (error) {
+      console.error('Error in CalendarDayTouch:', error);
+      return handlerInput.responseBuilder
+        .speak('Sorry, I couldn\'t update that day. Please try again.')
+        .getResponse();
+    }
+  }
+};
+
 const SessionEndedRequestHandler = {
   canHandle(handlerInput) {
     return Alexa.getRequestType(handlerInput.requestEnvelope) === 'SessionEndedRequest';
@@ -1667,33 +5362,284 @@ const ErrorHandler = {
   }
 };
 
+// Resolve the device time zone once per session through the Alexa Settings API.
+// The last known value is kept on the attendance document as a fallback for
+// when the API is unavailable, and every date calculation reads it from there.
+const TimeZoneRequestInterceptor = {
+  async process(handlerInput) {
+    const requestType = Alexa.getRequestType(handlerInput.requestEnvelope);
+    if (requestType !== 'LaunchRequest' && requestType !== 'IntentRequest') return;
+    if (!getAccessToken(handlerInput)) return;
+    
+    const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+    if (sessionAttributes.timeZone) return;
+    
+    let deviceTimeZone = null;
+    try {
+      const deviceId = Alexa.getDeviceId(handlerInput.requestEnvelope);
+      const upsServiceClient = handlerInput.serviceClientFactory.getUpsServiceClient();
+      deviceTimeZone = await upsServiceClient.getSystemTimeZone(deviceId);
+    } catch (error) {
+      console.log('Could not read device time zone:', error.message);
+    }
+    
+    try {
+      const uid = await getUserKey(handlerInput);
+      const userData = await getUserData(uid);
+      
+      if (deviceTimeZone && deviceTimeZone !== userData.timeZone) {
+        await updateUserData(uid, { timeZone: deviceTimeZone });
+      }
+      
+      const timeZone = deviceTimeZone || userData.timeZone;
+      if (timeZone) {
+        sessionAttributes.timeZone = timeZone;
+        handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+      }
+    } catch (error) {
+      console.error('Error resolving time zone:', error);
+    }
+  }
+};
+
+// CONVERSATION STATE
+// Pending multi-turn state is copied from session attributes into persistent attributes after
+// every response, so a flow interrupted by "stop" or a timeout can be offered again on the next
+// launch. Saved state older than PENDING_STATE_TTL_HOURS (default 24) is discarded instead.
+// The session attribute savedPendingState mirrors what this session has saved, so the
+// persistent attributes are only written when the pending state changes.
+const PERSISTED_PENDING_KEYS = ['pendingSessionCreation', 'pendingStatusChange', 'pendingRangeChange', 'pendingSessionDelete', 'pendingGapFill'];
+
+function getPendingStateTtlHours() {
+  const hours = Number(process.env.PENDING_STATE_TTL_HOURS);
+  return Number.isFinite(hours) && hours > 0 ? hours : 24;
+}
+
+// Persistence adapter for the ask-sdk attributes manager, stored next to the Alexa user's profile
+function createStoragePersistenceAdapter() {
+  const getStatePath = requestEnvelope => `DB/credentials/alexa/${Alexa.getUserId(requestEnvelope)}/state/conversation`;
+  
+  return {
+    async getAttributes(requestEnvelope) {
+      const storage = await getStorage();
+      return (await storage.getDocument(getStatePath(requestEnvelope))) || {};
+    },
+    async saveAttributes(requestEnvelope, attributes) {
+      const storage = await getStorage();
+      await storage.setDocument(getStatePath(requestEnvelope), attributes);
+    },
+    async deleteAttributes(requestEnvelope) {
+      const storage = await getStorage();
+      await storage.setDocument(getStatePath(requestEnvelope), {});
+    }
+  };
+}
+
+function getPendingState(sessionAttributes) {
+  const pending = {};
+  PERSISTED_PENDING_KEYS.forEach(key => {
+    if (sessionAttributes[key]) pending[key] = sessionAttributes[key];
+  });
+  return pending;
+}
+
+async function clearSavedPendingState(handlerInput) {
+  handlerInput.attributesManager.setPersistentAttributes({});
+  await handlerInput.attributesManager.savePersistentAttributes();
+  
+  const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+  delete sessionAttributes.savedPendingState;
+  handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+}
+
+// Saved pending state that is recent enough to resume, or null. Expired state is cleared.
+async function getResumablePendingState(handlerInput) {
+  const saved = await handlerInput.attributesManager.getPersistentAttributes();
+  if (!saved.pending || Object.keys(saved.pending).length === 0) return null;
+  
+  const ageHours = (Date.now() - new Date(saved.savedAt).getTime()) / (60 * 60 * 1000);
+  if (!(ageHours <= getPendingStateTtlHours())) {
+    await clearSavedPendingState(handlerInput);
+    return null;
+  }
+  
+  return saved.pending;
+}
+
+// What the user was in the middle of, e.g. "creating the session Summer"
+function describePendingState(pending, timeZone = null) {
+  if (pending.pendingSessionCreation) {
+    const { sessionName } = pending.pendingSessionCreation;
+    return sessionName ? `creating the session ${sessionName}` : 'creating a new session';
+  }
+  
+  if (pending.pendingStatusChange) {
+    const { date, newStatus, subject } = pending.pendingStatusChange;
+    const target = subject ? `${subject} on ${formatAlexaDate(date)}` : describeDate(date, timeZone);
+    return `changing ${target} to ${newStatus}`;
+  }
+  
+  if (pending.pendingRangeChange) {
+    const { startDate, endDate, newStatus } = pending.pendingRangeChange;
+    return `marking ${formatAlexaDate(startDate)} to ${formatAlexaDate(endDate)} as ${newStatus.replace('-', ' ')}`;
+  }
+  
+  if (pending.pendingSessionDelete) {
+    return `deleting the session ${pending.pendingSessionDelete.name}`;
+  }
+  
+  return 'filling in your missing days';
+}
+
+// Restore saved pending state into the session and ask its question again
+async function resumePendingState(handlerInput) {
+  const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+  const saved = await handlerInput.attributesManager.getPersistentAttributes();
+  const pending = saved.pending || {};
+  
+  delete sessionAttributes.resumeOffer;
+  Object.assign(sessionAttributes, pending);
+  handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+  
+  const timeZone = getRequestTimeZone(handlerInput);
+  
+  if (pending.pendingSessionCreation) {
+    return continueSessionCreation(handlerInput, { ...pending.pendingSessionCreation });
+  }
+  
+  if (pending.pendingStatusChange) {
+    const { date, newStatus, oldStatus, subject } = pending.pendingStatusChange;
+    const dayLabel = describeDate(date, timeZone);
+    const target = subject ? `${subject} ${dayLabel === 'today' ? 'today' : `on ${dayLabel}`}` : capitalize(dayLabel);
+    
+    return handlerInput.responseBuilder
+      .speak(`${target} is currently marked as ${oldStatus}. Would you like to change it to ${newStatus}?`)
+      .reprompt(`Should I change ${subject ? target : dayLabel} to ${newStatus}?`)
+      .getResponse();
+  }
+  
+  if (pending.pendingRangeChange) {
+    const { startDate, endDate, dates, newStatus } = pending.pendingRangeChange;
+    const statusText = newStatus.replace('-', ' ');
+    
+    return handlerInput.responseBuilder
+      .speak(`Would you like to mark all ${dates.length} working days from ${formatAlexaDate(startDate)} to ${formatAlexaDate(endDate)} as ${statusText}?`)
+      .reprompt(`Should I mark all ${dates.length} working days as ${statusText}?`)
+      .getResponse();
+  }
+  
+  if (pending.pendingSessionDelete) {
+    const { name } = pending.pendingSessionDelete;
+    
+    return handlerInput.responseBuilder
+      .speak(`Are you sure you want to delete ${name}? Your attendance records will be kept.`)
+      .reprompt(`Should I delete ${name}?`)
+      .getResponse();
+  }
+  
+  const uid = await getUserKey(handlerInput);
+  const userData = await getUserData(uid);
+  const gapFill = pending.pendingGapFill;
+  
+  // continueGapFill asks about the first unmarked day after gapFill.date, so step back one day to repeat it
+  return continueGapFill(handlerInput, userData, { ...gapFill, date: addDays(gapFill.date, -1) }, 'Okay. ');
+}
+
+const PendingStatePersistenceInterceptor = {
+  async process(handlerInput, response) {
+    if (!getAccessToken(handlerInput)) return;
+    
+    const requestType = Alexa.getRequestType(handlerInput.requestEnvelope);
+    const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+    
+    // Keep the saved state while the resume offer from the launch is open;
+    // answering anything but yes or no moves on and replaces it
+    if (sessionAttributes.resumeOffer) {
+      if (requestType === 'LaunchRequest') return;
+      delete sessionAttributes.resumeOffer;
+      handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+    }
+    
+    try {
+      const pending = getPendingState(sessionAttributes);
+      const saved = sessionAttributes.savedPendingState;
+      const hasPending = Object.keys(pending).length > 0;
+      
+      if (!hasPending && !saved) return;
+      if (hasPending && JSON.stringify(pending) === JSON.stringify(saved)) return;
+      
+      handlerInput.attributesManager.setPersistentAttributes(hasPending ? { pending, savedAt: new Date().toISOString() } : {});
+      await handlerInput.attributesManager.savePersistentAttributes();
+      
+      if (hasPending) {
+        sessionAttributes.savedPendingState = pending;
+      } else {
+        delete sessionAttributes.savedPendingState;
+      }
+      handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+    } catch (error) {
+      console.error('Error saving pending state:', error);
+    }
+  }
+};
+
 // Create Alexa Skill
 const skillBuilder = Alexa.SkillBuilders.custom();
 const skill = skillBuilder
   .addRequestHandlers(
     LaunchRequestHandler,
+    GapFillAnswerHandler,
     MarkPresentIntentHandler,
     MarkAbsentIntentHandler,
     MarkHolidayIntentHandler,
+    MarkRangeIntentHandler,
+    DayStatusIntentHandler,
+    FillMissingDaysIntentHandler,
+    AddSubjectIntentHandler,
+    UpdateDaysOffIntentHandler,
+    ListDaysOffIntentHandler,
+    SessionHolidaysIntentHandler,
+    AddCalendarRuleIntentHandler,
+    ListCalendarRulesIntentHandler,
+    ClearCalendarRulesIntentHandler,
+    RemoveCalendarRuleIntentHandler,
+    AddBreakIntentHandler,
+    ListBreaksIntentHandler,
+    DeleteBreakIntentHandler,
     MonthlyAttendanceIntentHandler,
     SessionAttendanceIntentHandler,
     GetAttendancePercentageIntentHandler,
+    AttendancePlanIntentHandler,
+    AttendanceStreakIntentHandler,
+    MissedWeekdayIntentHandler,
+    MonthComparisonIntentHandler,
+    SetAttendanceTargetIntentHandler,
+    SetAttendanceReminderIntentHandler,
+    GetAttendanceReminderIntentHandler,
+    CancelAttendanceReminderIntentHandler,
     SetAlexaPresetIntentHandler,
     GetAlexaPresetIntentHandler,
     ClearAlexaPresetIntentHandler,
     SelectSessionIntentHandler,
     CreateSessionIntentHandler,
-    CreateSessionWithNameIntentHandler,
     DateIntentHandler,
     ListSessionsIntentHandler,
+    RenameSessionIntentHandler,
+    ChangeSessionDatesIntentHandler,
+    DeleteSessionIntentHandler,
     YesIntentHandler,
     NoIntentHandler,
     HelpIntentHandler,
     CancelAndStopIntentHandler,
     FallbackIntentHandler,
+    CalendarDayTouchHandler,
     SessionEndedRequestHandler
   )
+  .addRequestInterceptors(TimeZoneRequestInterceptor, GapFillExitInterceptor)
+  .addResponseInterceptors(PendingStatePersistenceInterceptor)
   .addErrorHandlers(ErrorHandler)
+  .withPersistenceAdapter(createStoragePersistenceAdapter())
+  .withApiClient(new Alexa.DefaultApiClient())
   .create();
 
 // Express setup with FIXED middleware
@@ -1720,6 +5666,170 @@ app.use(async (req, res, next) => {
   }
 });
 
+// Verify the Firebase ID token sent by the web client and expose its uid as req.uid
+async function authenticateRequest(req, res, next) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer (.+)$/);
+  
+  if (!match) {
+    return res.status(401).json({ error: 'Unauthorized - Missing bearer token' });
+  }
+  
+  try {
+    const storage = await getStorage();
+    const decoded = await storage.verifyIdToken(match[1]);
+    req.uid = decoded.uid;
+    next();
+  } catch (error) {
+    console.error('Error verifying ID token:', error);
+    return res.status(401).json({ error: 'Unauthorized - Invalid token' });
+  }
+}
+
+function getExportFormat(req, res) {
+  const format = (req.query.format || 'json').toLowerCase();
+  if (format !== 'json' && format !== 'csv') {
+    res.status(400).json({ error: 'Bad Request - format must be json or csv' });
+    return null;
+  }
+  return format;
+}
+
+// Attendance export: records, holidays, breaks, notEnrolled and sessions
+app.get('/api/attendance', authenticateRequest, async (req, res) => {
+  const format = getExportFormat(req, res);
+  if (!format) return;
+  
+  const { from, to, session } = req.query;
+  if ((from && !isSpecificDate(from)) || (to && !isSpecificDate(to))) {
+    return res.status(400).json({ error: 'Bad Request - from and to must be YYYY-MM-DD dates' });
+  }
+  if (from && to && from > to) {
+    return res.status(400).json({ error: 'Bad Request - from must not be after to' });
+  }
+  if (from && getDaysBetween(from, to || getFormattedDate()) >= MAX_EXPORT_DAYS) {
+    return res.status(400).json({ error: `Bad Request - the range can cover at most ${MAX_EXPORT_DAYS} days` });
+  }
+  
+  try {
+    const attendanceKey = await getAttendanceKey(req.uid);
+    const exportData = await buildAttendanceExport(req.uid, { from, to, sessionCode: session });
+    
+    if (!exportData) {
+      return res.status(404).json({ error: `Session ${session} not found` });
+    }
+    
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="attendance-${attendanceKey}.csv"`);
+      return res.status(200).send(toCsv(getExportRows(exportData), ['date', 'status', 'name', 'subject']));
+    }
+    
+    return res.status(200).json(exportData);
+  } catch (error) {
+    console.error('Error exporting attendance:', error);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Streaks, weekday absences and month comparison, as spoken by the analytics intents
+app.get('/api/insights', authenticateRequest, async (req, res) => {
+  try {
+    const insights = await calculateAttendanceInsights(req.uid, req.query.session);
+    
+    if (!insights) {
+      return res.status(404).json({ error: `Session ${req.query.session} not found` });
+    }
+    
+    return res.status(200).json(insights);
+  } catch (error) {
+    console.error('Error calculating insights:', error);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Session export
+app.get('/api/sessions', authenticateRequest, async (req, res) => {
+  const format = getExportFormat(req, res);
+  if (!format) return;
+  
+  try {
+    const sessions = await getAvailableSessions(req.uid);
+    
+    if (format === 'csv') {
+      const rows = sessions.map(s => ({
+        ...s,
+        subjects: getSessionSubjects(s).map(subject => subject.name).join('; ')
+      }));
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', 'attachment; filename="sessions.csv"');
+      return res.status(200).send(toCsv(rows, ['code', 'name', 'startDate', 'endDate', 'isSelected', 'targetPercentage', 'subjects']));
+    }
+    
+    return res.status(200).json({ sessions });
+  } catch (error) {
+    console.error('Error exporting sessions:', error);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Break export, one row per break
+app.get('/api/breaks', authenticateRequest, async (req, res) => {
+  const format = getExportFormat(req, res);
+  if (!format) return;
+  
+  try {
+    const breaks = (await getUserData(req.uid)).breaks || [];
+    
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', 'attachment; filename="breaks.csv"');
+      return res.status(200).send(toCsv(breaks, ['id', 'name', 'startDate', 'endDate']));
+    }
+    
+    return res.status(200).json({ breaks });
+  } catch (error) {
+    console.error('Error exporting breaks:', error);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Import holidays and past attendance from a CSV (date,status,name) or iCalendar file.
+// Existing marks are reported as conflicts unless ?overwrite=true is given.
+app.post('/api/import', authenticateRequest, async (req, res) => {
+  const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  const format = (req.query.format || (contentType === 'text/calendar' ? 'ics' : 'csv')).toLowerCase();
+  
+  if (format !== 'csv' && format !== 'ics') {
+    return res.status(400).json({ error: 'Bad Request - format must be csv or ics' });
+  }
+  
+  try {
+    const body = await getRawBody(req, {
+      length: req.headers['content-length'],
+      limit: '1mb',
+      encoding: 'utf8'
+    });
+    
+    const rows = format === 'ics' ? parseImportIcs(body) : parseImportCsv(body);
+    if (rows.length === 0) {
+      return res.status(400).json({ error: 'Bad Request - No rows found to import' });
+    }
+    
+    const report = await importDayStatuses(req.uid, rows, { overwrite: req.query.overwrite === 'true' });
+    return res.status(200).json(report);
+  } catch (error) {
+    // getRawBody rejects a body over the limit (413) or one it can't decode (400, 415) with the status to send
+    const status = error.status || error.statusCode;
+    if (status >= 400 && status < 500) {
+      return res.status(status).json({ error: error.message });
+    }
+    
+    console.error('Error importing attendance:', error);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
 // Alexa endpoint
 app.post('*', adapter.getRequestHandlers());
 
@@ -1733,4 +5843,9 @@ app.get('*', (req, res) => {
 });
 
 // Export for Vercel
-module.exports = app;
\ No newline at end of file
+module.exports = app;
+
+// Exposed for the test suite, which drives the skill directly with request envelopes
+module.exports.skill = skill;
+module.exports.getStorage = getStorage;
+module.exports.createLocalAuthToken = createLocalAuthToken;
\ No newline at end of file
@@ -0,0 +1,185 @@
+// Helpers for driving the skill with Alexa request envelopes against the in-memory storage backend
+process.env.STORAGE_BACKEND = 'memory';
+process.env.LOCAL_AUTH_SECRET = 'test-local-auth-secret';
+
+const http = require('http');
+const app = require('../alexa');
+
+const USER_ID = 'amzn1.ask.account.TEST';
+const ACCESS_TOKEN = 'test-access-token';
+
+// Account linking looks up the Amazon profile; keep tests offline by failing that lookup
+global.fetch = async () => ({ ok: false, json: async () => ({}) });
+
+function buildEnvelope(request, { attributes = {}, accessToken = ACCESS_TOKEN, newSession = false, supportedInterfaces = {}, consentToken = null } = {}) {
+  const user = accessToken ? { userId: USER_ID, accessToken } : { userId: USER_ID };
+  if (consentToken) {
+    user.permissions = { consentToken };
+  }
+  
+  return {
+    version: '1.0',
+    session: {
+      new: newSession,
+      sessionId: 'amzn1.echo-api.session.TEST',
+      application: { applicationId: 'amzn1.ask.skill.TEST' },
+      // A known time zone keeps the time zone interceptor from calling the Settings API
+      attributes: { timeZone: 'UTC', ...attributes },
+      user
+    },
+    context: {
+      System: {
+        application: { applicationId: 'amzn1.ask.skill.TEST' },
+        user,
+        device: { deviceId: 'amzn1.ask.device.TEST', supportedInterfaces },
+        apiEndpoint: 'https://api.amazonalexa.com',
+        apiAccessToken: 'test-api-access-token'
+      }
+    },
+    request: {
+      requestId: 'amzn1.echo-api.request.TEST',
+      timestamp: new Date().toISOString(),
+      locale: 'en-US',
+      ...request
+    }
+  };
+}
+
+function launchRequest() {
+  return { type: 'LaunchRequest' };
+}
+
+function intentRequest(name, slots = {}, { confirmationStatus = 'NONE', dialogState = 'STARTED' } = {}) {
+  const intentSlots = {};
+  Object.entries(slots).forEach(([slotName, value]) => {
+    intentSlots[slotName] = { name: slotName, value, confirmationStatus: 'NONE' };
+  });
+  
+  return {
+    type: 'IntentRequest',
+    dialogState,
+    intent: { name, slots: intentSlots, confirmationStatus }
+  };
+}
+
+function userEventRequest(args, token = 'monthCalendar') {
+  return { type: 'Alexa.Presentation.APL.UserEvent', token, arguments: args, source: { type: 'TouchWrapper', handler: 'Press' } };
+}
+
+// Answer a dialog directive: resend its updated intent with one more slot filled in
+function dialogReply(response, slots = {}, confirmationStatus = 'NONE') {
+  const directive = response.response.directives.find(d => d.type.startsWith('Dialog.'));
+  const values = {};
+  Object.values(directive.updatedIntent.slots).forEach(slot => {
+    if (slot.value) values[slot.name] = slot.value;
+  });
+  
+  return intentRequest(directive.updatedIntent.name, { ...values, ...slots }, { confirmationStatus, dialogState: 'IN_PROGRESS' });
+}
+
+// A multi-turn conversation that carries session attributes from one response to the next request
+function createConversation(options = {}) {
+  let attributes = options.attributes || {};
+  
+  return {
+    async send(request) {
+      const envelope = buildEnvelope(request, { ...options, attributes });
+      const response = await app.skill.invoke(envelope);
+      attributes = response.sessionAttributes || {};
+      return response;
+    },
+    get attributes() {
+      return attributes;
+    }
+  };
+}
+
+// Answer Alexa API calls (reminders, settings) from the responder instead of the network;
+// the responder gets each request and returns { statusCode, body }
+function stubAlexaApi(responder = () => ({})) {
+  const calls = [];
+  const original = app.skill.apiClient;
+  
+  app.skill.apiClient = {
+    async invoke(request) {
+      calls.push({ method: request.method, url: request.url, body: request.body ? JSON.parse(request.body) : undefined });
+      const { statusCode = 200, body = {} } = responder(request) || {};
+      return { statusCode, headers: [], body: JSON.stringify(body) };
+    }
+  };
+  
+  return {
+    calls,
+    restore() {
+      app.skill.apiClient = original;
+    }
+  };
+}
+
+// Call one of the HTTP API routes on a throwaway server; JSON bodies come back parsed
+function apiRequest(method, urlPath, { token = app.createLocalAuthToken(USER_ID), body = null, contentType = 'application/json' } = {}) {
+  return new Promise((resolve, reject) => {
+    const server = app.listen(0, () => {
+      const payload = body === null || typeof body === 'string' ? body : JSON.stringify(body);
+      const headers = {};
+      if (token) headers.Authorization = `Bearer ${token}`;
+      if (payload !== null) headers['Content-Type'] = contentType;
+      
+      const req = http.request({ port: server.address().port, method, path: urlPath, headers, agent: false }, res => {
+        let text = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => {
+          text += chunk;
+        });
+        res.on('end', () => {
+          server.close();
+          const isJson = (res.headers['content-type'] || '').includes('application/json');
+          resolve({ status: res.statusCode, headers: res.headers, body: isJson ? JSON.parse(text) : text });
+        });
+      });
+      req.on('error', error => {
+        server.close();
+        reject(error);
+      });
+      if (payload !== null) req.write(payload);
+      req.end();
+    });
+  });
+}
+
+function getSpeech(response) {
+  const outputSpeech = response.response.outputSpeech;
+  return outputSpeech ? outputSpeech.ssml.replace(/<\/?speak>/g, '') : '';
+}
+
+async function resetStorage(documents = {}) {
+  const storage = await app.getStorage();
+  storage.reset(documents);
+}
+
+async function getAttendanceDocument(key = USER_ID) {
+  const storage = await app.getStorage();
+  return (await storage.getDocument(`attendance/${key}`)) || {};
+}
+
+async function setAttendanceDocument(data, key = USER_ID) {
+  const storage = await app.getStorage();
+  await storage.setDocument(`attendance/${key}`, data);
+}
+
+module.exports = {
+  app,
+  USER_ID,
+  buildEnvelope,
+  launchRequest,
+  intentRequest,
+  userEventRequest,
+  dialogReply,
+  createConversation,
+  stubAlexaApi,
+  apiRequest,
+  getSpeech,
+  resetStorage,
+  getAttendanceDocument,
+  setAttendanceDocument
+};
@@ -0,0 +1,1106 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  app,
+  USER_ID,
+  launchRequest,
+  intentRequest,
+  userEventRequest,
+  dialogReply,
+  createConversation,
+  stubAlexaApi,
+  apiRequest,
+  getSpeech,
+  resetStorage,
+  getAttendanceDocument,
+  setAttendanceDocument
+} = require('./helpers');
+
+beforeEach(async () => {
+  await resetStorage();
+});
+
+test('LaunchRequest asks for account linking without an access token', async () => {
+  const conversation = createConversation({ accessToken: null });
+  const response = await conversation.send(launchRequest());
+  
+  assert.match(getSpeech(response), /link your account/);
+  assert.equal(response.response.card.type, 'LinkAccount');
+});
+
+test('LaunchRequest welcomes a linked user and creates their profile', async () => {
+  const conversation = createConversation();
+  const response = await conversation.send(launchRequest());
+  
+  assert.match(getSpeech(response), /Welcome to Attendance Tracker/);
+  assert.equal(response.response.shouldEndSession, false);
+});
+
+test('today comes from the device time zone, which is saved for later requests', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now: new Date('2025-03-05T02:00:00Z') });
+  const api = stubAlexaApi(request => (request.url.includes('/settings/System.timeZone') ? { body: 'America/Los_Angeles' } : {}));
+  
+  try {
+    const conversation = createConversation({ attributes: { timeZone: undefined } });
+    const response = await conversation.send(intentRequest('MarkPresentIntent'));
+    
+    // 02:00 UTC on March 5 is still the evening of March 4 in Los Angeles
+    assert.equal(getSpeech(response), 'Successfully marked as present for today.');
+    const doc = await getAttendanceDocument();
+    assert.deepEqual(doc.records, { '2025-03-04': true });
+    assert.equal(doc.timeZone, 'America/Los_Angeles');
+    assert.equal(conversation.attributes.timeZone, 'America/Los_Angeles');
+  } finally {
+    api.restore();
+  }
+});
+
+test('MarkPresentIntent marks a past date from the date slot', async () => {
+  const conversation = createConversation();
+  const response = await conversation.send(intentRequest('MarkPresentIntent', { date: '2025-03-03' }));
+  
+  assert.equal(getSpeech(response), 'Successfully marked as present for March 3, 2025.');
+  assert.deepEqual((await getAttendanceDocument()).records, { '2025-03-03': true });
+});
+
+test('MarkPresentIntent defaults to today', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now: new Date('2025-03-05T10:00:00Z') });
+  const conversation = createConversation();
+  
+  let response = await conversation.send(intentRequest('MarkPresentIntent'));
+  assert.equal(getSpeech(response), 'Successfully marked as present for today.');
+  assert.deepEqual((await getAttendanceDocument()).records, { '2025-03-05': true });
+  
+  t.mock.timers.setTime(new Date('2025-03-09T10:00:00Z').getTime());
+  response = await conversation.send(intentRequest('MarkPresentIntent'));
+  assert.equal(getSpeech(response), 'Today is a non-working day. You cannot mark attendance on non-working days.');
+});
+
+test('marking a Sunday is rejected as a non-working day', async () => {
+  const conversation = createConversation();
+  const response = await conversation.send(intentRequest('MarkAbsentIntent', { date: '2025-03-02' }));
+  
+  assert.match(getSpeech(response), /March 2, 2025 is a non-working day/);
+  assert.deepEqual(await getAttendanceDocument(), {});
+});
+
+test('MarkPresent then AMAZON.YesIntent overwrites an existing absence', async () => {
+  await setAttendanceDocument({ records: { '2025-03-04': false } });
+  const conversation = createConversation();
+  
+  let response = await conversation.send(intentRequest('MarkPresentIntent', { date: '2025-03-04' }));
+  assert.match(getSpeech(response), /currently marked as absent. Would you like to change it to present\?/);
+  assert.deepEqual(conversation.attributes.pendingStatusChange, {
+    date: '2025-03-04',
+    newStatus: 'present',
+    oldStatus: 'absent'
+  });
+  
+  response = await conversation.send(intentRequest('AMAZON.YesIntent'));
+  assert.equal(getSpeech(response), 'Okay, I\'ve changed March 4, 2025 from absent to present.');
+  assert.equal(conversation.attributes.pendingStatusChange, undefined);
+  assert.deepEqual((await getAttendanceDocument()).records, { '2025-03-04': true });
+});
+
+test('AMAZON.NoIntent discards a pending status change', async () => {
+  await setAttendanceDocument({ records: { '2025-03-04': true } });
+  const conversation = createConversation();
+  
+  await conversation.send(intentRequest('MarkAbsentIntent', { date: '2025-03-04' }));
+  const response = await conversation.send(intentRequest('AMAZON.NoIntent'));
+  
+  assert.match(getSpeech(response), /won't make any changes/);
+  assert.equal(conversation.attributes.pendingStatusChange, undefined);
+  assert.deepEqual((await getAttendanceDocument()).records, { '2025-03-04': true });
+});
+
+test('MarkHolidayIntent replaces a present mark with a holiday after confirmation', async () => {
+  await setAttendanceDocument({ records: { '2025-03-05': true } });
+  const conversation = createConversation();
+  
+  await conversation.send(intentRequest('MarkHolidayIntent', { date: '2025-03-05', holidayName: 'Holi' }));
+  await conversation.send(intentRequest('AMAZON.YesIntent'));
+  
+  const doc = await getAttendanceDocument();
+  assert.deepEqual(doc.records, {});
+  assert.deepEqual(doc.holidays, [{ date: '2025-03-05', name: 'Holi' }]);
+});
+
+test('CreateSessionIntent collects the session through a dialog and saves it once confirmed', async () => {
+  const conversation = createConversation();
+  
+  let response = await conversation.send(intentRequest('CreateSessionWithNameIntent', { sessionName: 'Spring 2025' }));
+  assert.match(getSpeech(response), /When does this session start\?/);
+  assert.deepEqual(response.response.directives[0], {
+    type: 'Dialog.ElicitSlot',
+    slotToElicit: 'startDate',
+    updatedIntent: {
+      name: 'CreateSessionIntent',
+      confirmationStatus: 'NONE',
+      slots: {
+        sessionName: { name: 'sessionName', value: 'Spring 2025', confirmationStatus: 'NONE' },
+        startDate: { name: 'startDate', confirmationStatus: 'NONE' },
+        endDate: { name: 'endDate', confirmationStatus: 'NONE' },
+        setAsPreset: { name: 'setAsPreset', confirmationStatus: 'NONE' }
+      }
+    }
+  });
+  
+  response = await conversation.send(dialogReply(response, { startDate: '2025-03-03' }));
+  assert.match(getSpeech(response), /starting on March 3, 2025. When does the session end\?/);
+  
+  response = await conversation.send(dialogReply(response, { endDate: '2025-03-08' }));
+  assert.equal(getSpeech(response), 'Should I make "Spring 2025" your Alexa preset session?');
+  
+  response = await conversation.send(dialogReply(response, { setAsPreset: 'yes' }));
+  assert.equal(getSpeech(response), 'Should I create "Spring 2025" from March 3, 2025 to March 8, 2025 as your Alexa preset session?');
+  assert.equal(response.response.directives[0].type, 'Dialog.ConfirmIntent');
+  assert.equal((await getAttendanceDocument()).sessions, undefined);
+  
+  response = await conversation.send(dialogReply(response, {}, 'CONFIRMED'));
+  assert.match(getSpeech(response), /Successfully created session "Spring 2025" from March 3, 2025 to March 8, 2025/);
+  
+  const [session] = (await getAttendanceDocument()).sessions;
+  assert.equal(session.name, 'Spring 2025');
+  assert.equal(session.startDate, '2025-03-03');
+  assert.equal(session.endDate, '2025-03-08');
+  assert.equal(session.isSelected, true);
+});
+
+test('CreateSessionIntent asks for a name first and stops when the user declines', async () => {
+  const conversation = createConversation();
+  
+  let response = await conversation.send(intentRequest('CreateSessionIntent'));
+  assert.equal(response.response.directives[0].slotToElicit, 'sessionName');
+  
+  response = await conversation.send(intentRequest('CreateSessionIntent', {
+    sessionName: 'Fall', startDate: '2025-09-01', endDate: '2025-12-19', setAsPreset: 'no'
+  }, { confirmationStatus: 'DENIED' }));
+  assert.equal(getSpeech(response), 'Okay, I won\'t create that session. Let me know if you need anything else.');
+  assert.equal((await getAttendanceDocument()).sessions, undefined);
+});
+
+test('GetAttendancePercentageIntent reports the selected session', async () => {
+  await setAttendanceDocument({
+    records: { '2025-03-03': true, '2025-03-04': true, '2025-03-05': false },
+    holidays: [{ date: '2025-03-06', name: 'Holi' }],
+    sessions: [{ name: 'Spring', code: 'spring1', startDate: '2025-03-03', endDate: '2025-03-09', isSelected: true }]
+  });
+  const conversation = createConversation();
+  
+  const response = await conversation.send(intentRequest('GetAttendancePercentageIntent'));
+  
+  // Mar 3-9 has six working days before Sunday; the holiday leaves five, two of them present and two unmarked
+  assert.equal(getSpeech(response), 'Your attendance percentage is 40 percent for Spring. You have attended 2 out of 5 working days. 2 working days are still unmarked and counted as missed. Say "fill in my missing days" to record them.');
+});
+
+test('MarkRangeIntent asks once before overwriting conflicting days', async () => {
+  await setAttendanceDocument({ records: { '2025-03-04': true } });
+  const conversation = createConversation();
+  
+  let response = await conversation.send(intentRequest('MarkRangeIntent', { status: 'absent', startDate: '2025-03-03', endDate: '2025-03-09' }));
+  assert.match(getSpeech(response), /1 of the 6 working days .* is already marked differently: 1 present/);
+  
+  response = await conversation.send(intentRequest('AMAZON.YesIntent'));
+  assert.match(getSpeech(response), /marked 6 working days .* as absent. I skipped 1 non-working day/);
+  
+  const records = (await getAttendanceDocument()).records;
+  assert.equal(Object.keys(records).length, 6);
+  assert.ok(Object.values(records).every(present => present === false));
+});
+
+test('MarkRangeIntent rejects ranges longer than a year instead of marking part of them', async () => {
+  const conversation = createConversation();
+  
+  const response = await conversation.send(intentRequest('MarkRangeIntent', { status: 'absent', startDate: '2024-01-01', endDate: '2025-01-01' }));
+  assert.equal(getSpeech(response), 'I can mark up to 366 days at a time. Please give me a shorter range.');
+  assert.deepEqual(await getAttendanceDocument(), {});
+});
+
+test('subject marks are tracked and reported per subject', async () => {
+  await setAttendanceDocument({
+    sessions: [{
+      name: 'Spring',
+      code: 'spring1',
+      startDate: '2025-03-03',
+      endDate: '2025-03-08',
+      isSelected: true,
+      subjects: [{ name: 'Physics', days: [1, 3] }, { name: 'Maths', days: [] }]
+    }]
+  });
+  const conversation = createConversation();
+  
+  let response = await conversation.send(intentRequest('MarkAbsentIntent', { date: '2025-03-03', subject: 'physics' }));
+  assert.equal(getSpeech(response), 'Successfully marked as absent for Physics on March 3, 2025.');
+  
+  response = await conversation.send(intentRequest('MarkPresentIntent', { date: '2025-03-04', subject: 'Physics' }));
+  assert.equal(getSpeech(response), 'Physics is not on your timetable on Tuesdays.');
+  
+  await conversation.send(intentRequest('MarkPresentIntent', { date: '2025-03-05', subject: 'Physics' }));
+  await conversation.send(intentRequest('MarkPresentIntent', { date: '2025-03-03', subject: 'Maths' }));
+  
+  assert.deepEqual((await getAttendanceDocument()).subjectRecords, {
+    Physics: { '2025-03-03': false, '2025-03-05': true },
+    Maths: { '2025-03-03': true }
+  });
+  
+  response = await conversation.send(intentRequest('SessionAttendanceIntent'));
+  assert.match(getSpeech(response), /By subject: Physics 50 percent, Maths 17 percent\./);
+});
+
+test('unknown users get their own attendance document keyed by Alexa user id', async () => {
+  const conversation = createConversation();
+  await conversation.send(intentRequest('MarkAbsentIntent', { date: '2025-03-07' }));
+  
+  const doc = await getAttendanceDocument(USER_ID);
+  assert.deepEqual(doc.records, { '2025-03-07': false });
+});
+
+test('MonthlyAttendanceIntent renders a month calendar on screen devices', async () => {
+  await setAttendanceDocument({
+    records: { '2025-03-03': true, '2025-03-04': false },
+    holidays: [{ date: '2025-03-05', name: 'Holi' }],
+    notEnrolled: ['2025-03-06']
+  });
+  const conversation = createConversation({ supportedInterfaces: { 'Alexa.Presentation.APL': { runtime: { maxVersion: '2023.2' } } } });
+  
+  const response = await conversation.send(intentRequest('MonthlyAttendanceIntent', { month: '2025-03' }));
+  const [directive] = response.response.directives;
+  const { calendar } = directive.datasources.payload;
+  const statusOf = date => calendar.cells.find(cell => cell.date === date).status;
+  
+  assert.equal(directive.type, 'Alexa.Presentation.APL.RenderDocument');
+  assert.equal(calendar.title, 'March 2025');
+  assert.equal(calendar.cells.length, 7 + 6 + 31);
+  assert.equal(statusOf('2025-03-02'), 'non-working');
+  assert.equal(statusOf('2025-03-03'), 'present');
+  assert.equal(statusOf('2025-03-04'), 'absent');
+  assert.equal(statusOf('2025-03-05'), 'holiday');
+  assert.equal(statusOf('2025-03-06'), 'not-enrolled');
+  assert.equal(statusOf('2025-03-07'), 'unmarked');
+  assert.match(calendar.summary, /^4% attendance · 1 of 24 present$/);
+});
+
+test('MonthlyAttendanceIntent stays speech-only without a screen', async () => {
+  const conversation = createConversation();
+  const response = await conversation.send(intentRequest('MonthlyAttendanceIntent', { month: '2025-03' }));
+  
+  assert.match(getSpeech(response), /^Your attendance for March 2025 is 0 percent\. 26 working days are still unmarked/);
+  assert.equal(response.response.directives, undefined);
+});
+
+test('tapping a calendar day cycles its status and redraws the month', async () => {
+  await setAttendanceDocument({ records: { '2025-03-03': true } });
+  const conversation = createConversation({ supportedInterfaces: { 'Alexa.Presentation.APL': { runtime: { maxVersion: '2023.2' } } } });
+  const tap = async date => {
+    const response = await conversation.send(userEventRequest(['toggleDay', date, '2025-03']));
+    return response.response.directives[0].datasources.payload.calendar;
+  };
+  
+  let calendar = await tap('2025-03-03');
+  assert.equal((await getAttendanceDocument()).records['2025-03-03'], false);
+  assert.equal(calendar.cells.find(cell => cell.date === '2025-03-03').status, 'absent');
+  
+  calendar = await tap('2025-03-03');
+  assert.deepEqual((await getAttendanceDocument()).holidays, [{ date: '2025-03-03', name: 'Holiday' }]);
+  
+  calendar = await tap('2025-03-03');
+  const cleared = await getAttendanceDocument();
+  assert.equal(cleared.records['2025-03-03'], undefined);
+  assert.deepEqual(cleared.holidays, []);
+  assert.equal(calendar.cells.find(cell => cell.date === '2025-03-03').status, 'unmarked');
+  
+  calendar = await tap('2025-03-04');
+  assert.equal(calendar.cells.find(cell => cell.date === '2025-03-04').status, 'present');
+  assert.match(calendar.summary, /^4% attendance · 1 of 26 present$/);
+  
+  await tap('2025-03-02');
+  assert.equal((await getAttendanceDocument()).records['2025-03-02'], undefined);
+});
+
+test('DayStatusIntent reports a marked day, a holiday and a non-working day', async () => {
+  await setAttendanceDocument({
+    records: { '2025-03-03': true },
+    holidays: [{ date: '2025-03-05', name: 'Holi' }]
+  });
+  const conversation = createConversation();
+  
+  const present = await conversation.send(intentRequest('DayStatusIntent', { date: '2025-03-03' }));
+  assert.equal(getSpeech(present), 'You were marked present on March 3, 2025.');
+  
+  const holiday = await conversation.send(intentRequest('DayStatusIntent', { date: '2025-03-05' }));
+  assert.equal(getSpeech(holiday), 'March 5, 2025 is marked as a holiday: Holi.');
+  
+  const sunday = await conversation.send(intentRequest('DayStatusIntent', { date: '2025-03-09' }));
+  assert.equal(getSpeech(sunday), 'March 9, 2025 is a non-working day.');
+  
+  const unmarked = await conversation.send(intentRequest('DayStatusIntent', { date: '2025-03-04' }));
+  assert.equal(getSpeech(unmarked), 'March 4, 2025 is not marked yet.');
+});
+
+test('DayStatusIntent lists the unmarked working days of a week', async () => {
+  await setAttendanceDocument({
+    records: { '2025-03-03': true, '2025-03-04': false, '2025-03-07': true },
+    holidays: [{ date: '2025-03-05', name: 'Holi' }]
+  });
+  const conversation = createConversation();
+  
+  const response = await conversation.send(intentRequest('DayStatusIntent', { date: '2025-W10' }));
+  assert.equal(getSpeech(response), 'In the week of March 3, 2025, you haven\'t marked Thursday and Saturday.');
+});
+
+test('FillMissingDaysIntent walks through each unmarked day of the selected session', async () => {
+  await setAttendanceDocument({
+    records: { '2025-03-03': true, '2025-03-05': false },
+    sessions: [{ name: 'Spring', code: 'spring1', startDate: '2025-03-03', endDate: '2025-03-08', isSelected: true }]
+  });
+  const conversation = createConversation();
+  
+  let response = await conversation.send(intentRequest('FillMissingDaysIntent'));
+  assert.equal(getSpeech(response), 'You have 4 unmarked days in Spring. Let\'s go through them. Tuesday, March 4, 2025. Were you present, absent, or was it a holiday? You can also say skip.');
+  
+  response = await conversation.send(intentRequest('MarkPresentIntent'));
+  assert.match(getSpeech(response), /^Marked present\. Thursday, March 6, 2025\./);
+  
+  response = await conversation.send(intentRequest('MarkHolidayIntent', { holidayName: 'Founders Day' }));
+  assert.match(getSpeech(response), /^Marked holiday\. Friday, March 7, 2025\./);
+  
+  response = await conversation.send(intentRequest('AMAZON.NextIntent'));
+  assert.match(getSpeech(response), /^Skipped\. Saturday, March 8, 2025\./);
+  
+  response = await conversation.send(intentRequest('MarkAbsentIntent'));
+  assert.equal(getSpeech(response), 'Marked absent. That\'s all of your missing days. I filled in 3 days.');
+  assert.equal(conversation.attributes.pendingGapFill, undefined);
+  
+  const data = await getAttendanceDocument();
+  assert.equal(data.records['2025-03-04'], true);
+  assert.equal(data.records['2025-03-07'], undefined);
+  assert.equal(data.records['2025-03-08'], false);
+  assert.deepEqual(data.holidays, [{ date: '2025-03-06', name: 'Founders Day' }]);
+});
+
+test('gap filling keeps the subject, stops on no and ends when another intent comes in', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now: new Date('2025-03-10T10:00:00Z') });
+  await setAttendanceDocument({
+    sessions: [{ name: 'Spring', code: 'spring1', startDate: '2025-03-03', endDate: '2025-03-08', isSelected: true, subjects: [{ name: 'Physics' }] }]
+  });
+  const conversation = createConversation();
+  
+  let response = await conversation.send(intentRequest('FillMissingDaysIntent'));
+  assert.match(getSpeech(response), /Monday, March 3, 2025\./);
+  
+  response = await conversation.send(intentRequest('MarkPresentIntent', { subject: 'physics' }));
+  assert.match(getSpeech(response), /^Marked Physics present\. Tuesday, March 4, 2025\./);
+  
+  response = await conversation.send(intentRequest('AMAZON.NoIntent'));
+  assert.equal(getSpeech(response), 'Okay, I\'ve stopped filling in your missing days. I filled in 1 day.');
+  assert.equal(conversation.attributes.pendingGapFill, undefined);
+  
+  response = await conversation.send(intentRequest('FillMissingDaysIntent'));
+  assert.match(getSpeech(response), /Tuesday, March 4, 2025\./);
+  
+  await conversation.send(intentRequest('ListDaysOffIntent'));
+  assert.equal(conversation.attributes.pendingGapFill, undefined);
+  
+  response = await conversation.send(intentRequest('MarkPresentIntent'));
+  assert.equal(getSpeech(response), 'Successfully marked as present for today.');
+  
+  const data = await getAttendanceDocument();
+  assert.deepEqual(data.records, { '2025-03-10': true });
+  assert.deepEqual(data.subjectRecords, { Physics: { '2025-03-03': true } });
+});
+
+test('streak and missed weekday insights skip days off and holidays', async () => {
+  await setAttendanceDocument({
+    // Mar 3-8 present apart from a holiday on the 5th, Sunday the 9th is off, then absent on Monday the 10th
+    records: {
+      '2025-03-03': true, '2025-03-04': true, '2025-03-06': true, '2025-03-07': true, '2025-03-08': true,
+      '2025-03-10': false, '2025-03-11': true, '2025-03-12': true, '2025-03-17': false
+    },
+    holidays: [{ date: '2025-03-05', name: 'Holi' }],
+    sessions: [{ name: 'Spring', code: 'spring1', startDate: '2025-03-03', endDate: '2025-03-17', isSelected: true }]
+  });
+  const conversation = createConversation();
+  
+  const streak = await conversation.send(intentRequest('AttendanceStreakIntent'));
+  assert.equal(getSpeech(streak), 'You don\'t have a present streak going right now. Your longest streak in Spring is 5 days, from March 3, 2025 to March 8, 2025.');
+  
+  const weekday = await conversation.send(intentRequest('MissedWeekdayIntent'));
+  assert.equal(getSpeech(weekday), 'You miss Mondays the most, with 2 absences out of 3 Mondays in Spring.');
+});
+
+test('sessions can be renamed and have their dates changed by name or code', async () => {
+  await setAttendanceDocument({
+    sessions: [
+      { name: 'Spring', code: 'spring1', startDate: '2025-03-03', endDate: '2025-05-30', isSelected: true },
+      { name: 'Fall', code: 'fall1', startDate: '2025-09-01', endDate: '2025-12-19', isSelected: false }
+    ]
+  });
+  const conversation = createConversation();
+  
+  let response = await conversation.send(intentRequest('RenameSessionIntent', { sessionName: 'spring', newName: 'Fall' }));
+  assert.equal(getSpeech(response), 'You already have a session called Fall. Please pick a different name.');
+  
+  response = await conversation.send(intentRequest('RenameSessionIntent', { sessionName: 'spring1', newName: 'Spring 2025' }));
+  assert.equal(getSpeech(response), 'Okay, I\'ve renamed Spring to Spring 2025.');
+  
+  response = await conversation.send(intentRequest('ChangeSessionDatesIntent', { sessionName: 'Spring 2025', endDate: '2025-02-01' }));
+  assert.match(getSpeech(response), /I haven't changed anything\.$/);
+  
+  response = await conversation.send(intentRequest('ChangeSessionDatesIntent', { sessionName: 'Spring 2025', endDate: '2025-06-13' }));
+  assert.equal(getSpeech(response), 'Okay, Spring 2025 now runs from March 3, 2025 to June 13, 2025.');
+  
+  const [spring] = (await getAttendanceDocument()).sessions;
+  assert.deepEqual(spring, { name: 'Spring 2025', code: 'spring1', startDate: '2025-03-03', endDate: '2025-06-13', isSelected: true });
+});
+
+test('renaming or changing the dates of a loosely matched session asks which one first', async () => {
+  await setAttendanceDocument({
+    sessions: [
+      { name: 'Sem 3 2025-26', code: 'sem32025ab12', startDate: '2025-08-01', endDate: '2025-12-19', isSelected: false },
+      { name: 'Sem 4 2025-26', code: 'sem42025cd34', startDate: '2026-01-05', endDate: '2026-05-29', isSelected: false }
+    ]
+  });
+  const conversation = createConversation();
+  
+  let response = await conversation.send(intentRequest('RenameSessionIntent', { sessionName: 'sem 2025 26', newName: 'Autumn' }));
+  assert.equal(getSpeech(response), 'Did you mean Sem 3 2025-26, starting August 1, 2025, or Sem 4 2025-26, starting January 5, 2026?');
+  
+  response = await conversation.send(intentRequest('SelectSessionIntent', { sessionName: 'the first one' }));
+  assert.equal(getSpeech(response), 'Okay, I\'ve renamed Sem 3 2025-26 to Autumn.');
+  
+  response = await conversation.send(intentRequest('ChangeSessionDatesIntent', { sessionName: 'semester four twenty twenty five twenty six', endDate: '2026-06-12' }));
+  assert.equal(getSpeech(response), 'Did you mean Sem 4 2025-26?');
+  assert.equal((await getAttendanceDocument()).sessions[1].endDate, '2026-05-29');
+  
+  response = await conversation.send(intentRequest('AMAZON.YesIntent'));
+  assert.equal(getSpeech(response), 'Okay, Sem 4 2025-26 now runs from January 5, 2026 to June 12, 2026.');
+  
+  const { sessions } = await getAttendanceDocument();
+  assert.deepEqual(sessions.map(s => [s.name, s.endDate, s.isSelected]), [['Autumn', '2025-12-19', false], ['Sem 4 2025-26', '2026-06-12', false]]);
+});
+
+test('session attendance for a name matching several sessions asks which one, and one matching none says so', async () => {
+  await setAttendanceDocument({
+    records: { '2025-08-04': true },
+    sessions: [
+      { name: 'Sem 3 2025-26', code: 'sem32025ab12', startDate: '2025-08-04', endDate: '2025-08-08', isSelected: false },
+      { name: 'Sem 4 2025-26', code: 'sem42025cd34', startDate: '2026-01-05', endDate: '2026-01-09', isSelected: true }
+    ]
+  });
+  const conversation = createConversation();
+  
+  let response = await conversation.send(intentRequest('SessionAttendanceIntent', { sessionName: 'sem 2025 26' }));
+  assert.equal(getSpeech(response), 'Did you mean Sem 3 2025-26, starting August 4, 2025, or Sem 4 2025-26, starting January 5, 2026?');
+  
+  response = await conversation.send(intentRequest('SelectSessionIntent', { sessionName: 'the first one' }));
+  assert.match(getSpeech(response), /^Your session attendance for Sem 3 2025-26 is 20 percent\. You have attended 1 out of 5 working days\./);
+  
+  response = await conversation.send(intentRequest('SessionAttendanceIntent', { sessionName: 'winter' }));
+  assert.equal(getSpeech(response), 'Session "winter" not found. Say "list sessions" to hear your sessions.');
+  
+  // Answering the question doesn't change the Alexa preset
+  const selected = (await getAttendanceDocument()).sessions.filter(s => s.isSelected).map(s => s.code);
+  assert.deepEqual(selected, ['sem42025cd34']);
+});
+
+test('deleting the selected session asks first and leaves no session selected', async () => {
+  await setAttendanceDocument({
+    records: { '2025-03-03': true },
+    sessions: [
+      { name: 'Spring', code: 'spring1', startDate: '2025-03-03', endDate: '2025-05-30', isSelected: true },
+      { name: 'Fall', code: 'fall1', startDate: '2025-09-01', endDate: '2025-12-19', isSelected: false }
+    ]
+  });
+  const conversation = createConversation();
+  
+  let response = await conversation.send(intentRequest('DeleteSessionIntent', { sessionName: 'Spring' }));
+  assert.equal(getSpeech(response), 'Are you sure you want to delete Spring? It is your Alexa preset session. Your attendance records will be kept.');
+  
+  response = await conversation.send(intentRequest('AMAZON.YesIntent'));
+  assert.match(getSpeech(response), /^Okay, I've deleted Spring\. It was your Alexa preset, so no session is selected now\./);
+  
+  const data = await getAttendanceDocument();
+  assert.deepEqual(data.sessions.map(s => [s.code, s.isSelected]), [['fall1', false]]);
+  assert.equal(data.records['2025-03-03'], true);
+});
+
+test('a yes answers the last question asked, not an older one', async () => {
+  await setAttendanceDocument({
+    records: { '2025-03-03': true },
+    sessions: [{ name: 'Old', code: 'old1', startDate: '2024-01-08', endDate: '2024-05-31', isSelected: false }]
+  });
+  const conversation = createConversation();
+  
+  let response = await conversation.send(intentRequest('MarkAbsentIntent', { date: '2025-03-03' }));
+  assert.match(getSpeech(response), /Would you like to change it to absent\?$/);
+  
+  response = await conversation.send(intentRequest('DeleteSessionIntent', { sessionName: 'Old' }));
+  assert.match(getSpeech(response), /^Are you sure you want to delete Old\?/);
+  assert.equal(conversation.attributes.pendingStatusChange, undefined);
+  
+  response = await conversation.send(intentRequest('AMAZON.YesIntent'));
+  assert.match(getSpeech(response), /^Okay, I've deleted Old\./);
+  
+  const data = await getAttendanceDocument();
+  assert.deepEqual(data.sessions, []);
+  assert.deepEqual(data.records, { '2025-03-03': true });
+});
+
+test('session creation re-asks on an inverted range and warns about overlaps', async () => {
+  await setAttendanceDocument({
+    sessions: [{ name: 'Spring', code: 'spring1', startDate: '2025-03-03', endDate: '2025-05-30', isSelected: true }]
+  });
+  const conversation = createConversation();
+  
+  let response = await conversation.send(intentRequest('CreateSessionIntent', { sessionName: 'Summer' }));
+  
+  // A bare month starts the session on its first day
+  response = await conversation.send(dialogReply(response, { startDate: '2025-05' }));
+  assert.match(getSpeech(response), /^Okay, starting on May 1, 2025\./);
+  
+  response = await conversation.send(dialogReply(response, { endDate: '2025-04-01' }));
+  assert.equal(getSpeech(response), 'April 1, 2025 is before the start date, May 1, 2025. When does the session end?');
+  assert.equal(response.response.directives[0].slotToElicit, 'endDate');
+  
+  // ...and ends one on its last day
+  response = await conversation.send(dialogReply(response, { endDate: '2025-08' }));
+  response = await conversation.send(dialogReply(response, { setAsPreset: 'no' }));
+  assert.equal(getSpeech(response), 'Note that it overlaps with Spring, which runs from March 3, 2025 to May 30, 2025. Should I create "Summer" from May 1, 2025 to August 31, 2025?');
+  
+  response = await conversation.send(dialogReply(response, {}, 'CONFIRMED'));
+  assert.match(getSpeech(response), /^Successfully created session "Summer" from May 1, 2025 to August 31, 2025\./);
+  
+  const summer = (await getAttendanceDocument()).sessions.find(s => s.name === 'Summer');
+  assert.equal(summer.startDate, '2025-05-01');
+  assert.equal(summer.endDate, '2025-08-31');
+  assert.equal(summer.isSelected, false);
+});
+
+test('a pending status change interrupted by stop is offered again on the next launch', async () => {
+  await setAttendanceDocument({ records: { '2025-03-04': false } });
+  
+  const first = createConversation();
+  await first.send(intentRequest('MarkPresentIntent', { date: '2025-03-04' }));
+  await first.send(intentRequest('AMAZON.StopIntent'));
+  
+  const second = createConversation({ newSession: true });
+  let response = await second.send(launchRequest());
+  assert.equal(getSpeech(response), 'Welcome back to Attendance Tracker! Last time, you didn\'t finish changing March 4, 2025 to present. Would you like to pick up where you left off?');
+  
+  response = await second.send(intentRequest('AMAZON.YesIntent'));
+  assert.equal(getSpeech(response), 'March 4, 2025 is currently marked as absent. Would you like to change it to present?');
+  
+  response = await second.send(intentRequest('AMAZON.YesIntent'));
+  assert.equal(getSpeech(response), 'Okay, I\'ve changed March 4, 2025 from absent to present.');
+  
+  const third = createConversation({ newSession: true });
+  response = await third.send(launchRequest());
+  assert.match(getSpeech(response), /^Welcome to Attendance Tracker!/);
+});
+
+test('an interrupted session creation resumes with the values already given, unless it has expired', async () => {
+  const first = createConversation();
+  let response = await first.send(intentRequest('CreateSessionIntent', { sessionName: 'Summer' }));
+  await first.send(dialogReply(response, { startDate: '2025-06-02' }));
+  
+  const second = createConversation({ newSession: true });
+  response = await second.send(launchRequest());
+  assert.match(getSpeech(response), /you didn't finish creating the session Summer\./);
+  
+  response = await second.send(intentRequest('AMAZON.YesIntent'));
+  assert.equal(getSpeech(response), 'Okay, starting on June 2, 2025. When does the session end?');
+  assert.equal(response.response.directives[0].updatedIntent.slots.startDate.value, '2025-06-02');
+  
+  const storage = await app.getStorage();
+  const statePath = `DB/credentials/alexa/${USER_ID}/state/conversation`;
+  const saved = await storage.getDocument(statePath);
+  await storage.setDocument(statePath, { ...saved, savedAt: new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString() });
+  
+  const third = createConversation({ newSession: true });
+  response = await third.send(launchRequest());
+  assert.match(getSpeech(response), /^Welcome to Attendance Tracker!/);
+  assert.deepEqual(await storage.getDocument(statePath), {});
+});
+
+test('saved conversation state is only touched when there is pending state to save or clear', async t => {
+  await setAttendanceDocument({ records: { '2025-03-04': false } });
+  const storage = await app.getStorage();
+  const statePath = `DB/credentials/alexa/${USER_ID}/state/conversation`;
+  const reads = t.mock.method(storage, 'getDocument');
+  const writes = t.mock.method(storage, 'setDocument');
+  const stateCalls = method => method.mock.calls.filter(call => call.arguments[0] === statePath).length;
+  
+  const conversation = createConversation();
+  await conversation.send(intentRequest('MarkAbsentIntent', { date: '2025-03-05' }));
+  await conversation.send(intentRequest('GetAttendancePercentageIntent'));
+  assert.equal(stateCalls(reads), 0);
+  assert.equal(stateCalls(writes), 0);
+  
+  await conversation.send(intentRequest('MarkPresentIntent', { date: '2025-03-04' }));
+  await conversation.send(intentRequest('AMAZON.NoIntent'));
+  assert.equal(stateCalls(reads), 0);
+  assert.equal(stateCalls(writes), 2);
+  assert.deepEqual(await storage.getDocument(statePath), {});
+});
+
+test('SelectSessionIntent matches spoken numbers and asks which session was meant when several are close', async () => {
+  await setAttendanceDocument({
+    sessions: [
+      { name: 'Sem 3 2025-26', code: 'sem32025ab12', startDate: '2025-08-01', endDate: '2025-12-19', isSelected: false },
+      { name: 'Sem 4 2025-26', code: 'sem42025cd34', startDate: '2026-01-05', endDate: '2026-05-29', isSelected: false },
+      { name: 'Summer', code: 'summeref56', startDate: '2026-06-01', endDate: '2026-07-31', isSelected: false }
+    ]
+  });
+  const conversation = createConversation();
+  
+  let response = await conversation.send(intentRequest('SelectSessionIntent', { sessionName: 'semester three twenty twenty five twenty six' }));
+  assert.equal(getSpeech(response), 'Okay, I\'ve set Sem 3 2025-26 as your current session and Alexa preset.');
+  
+  response = await conversation.send(intentRequest('SelectSessionIntent', { sessionName: 's u m m e r e f 5 6' }));
+  assert.equal(getSpeech(response), 'Okay, I\'ve set Summer as your current session and Alexa preset.');
+  
+  response = await conversation.send(intentRequest('SelectSessionIntent', { sessionName: 'sem 2025 26' }));
+  assert.equal(getSpeech(response), 'Did you mean Sem 3 2025-26, starting August 1, 2025, or Sem 4 2025-26, starting January 5, 2026?');
+  
+  response = await conversation.send(intentRequest('SelectSessionIntent', { sessionName: 'the second one' }));
+  assert.equal(getSpeech(response), 'Okay, I\'ve set Sem 4 2025-26 as your current session and Alexa preset.');
+  
+  const selected = (await getAttendanceDocument()).sessions.filter(s => s.isSelected).map(s => s.code);
+  assert.deepEqual(selected, ['sem42025cd34']);
+});
+
+test('the attendance reminder follows the working weekdays when days off change', async () => {
+  const api = stubAlexaApi(request => (request.method === 'POST' ? { body: { alertToken: 'alert-1' } } : {}));
+  
+  try {
+    const conversation = createConversation({ consentToken: 'test-consent-token' });
+    
+    let response = await conversation.send(intentRequest('SetAttendanceReminderIntent', { time: '18:00' }));
+    assert.equal(getSpeech(response), 'Okay, I\'ve set a reminder for 6:00 PM on Mondays, Tuesdays, Wednesdays, Thursdays, Fridays and Saturdays to mark your attendance.');
+    assert.equal(api.calls[0].method, 'POST');
+    assert.match(api.calls[0].body.trigger.recurrence.recurrenceRules[0], /^FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR,SA;BYHOUR=18;BYMINUTE=0;/);
+    
+    response = await conversation.send(intentRequest('AddDayOffIntent', { days: 'saturday' }));
+    assert.equal(getSpeech(response), 'Okay. Your weekly days off are Saturdays and Sundays. I\'ve moved your attendance reminder to Mondays, Tuesdays, Wednesdays, Thursdays and Fridays.');
+    assert.equal(api.calls[1].method, 'PUT');
+    assert.match(api.calls[1].url, /\/v1\/alerts\/reminders\/alert-1$/);
+    assert.match(api.calls[1].body.trigger.recurrence.recurrenceRules[0], /BYDAY=MO,TU,WE,TH,FR;/);
+    assert.deepEqual((await getAttendanceDocument()).reminder.days, [1, 2, 3, 4, 5]);
+    
+    // Without the reminders permission the reminder can't be moved, so the user is told
+    const withoutConsent = createConversation();
+    response = await withoutConsent.send(intentRequest('RemoveDayOffIntent', { days: 'saturday' }));
+    assert.equal(getSpeech(response), 'Okay. Your weekly days off are Sundays. Your attendance reminder still goes off on Mondays, Tuesdays, Wednesdays, Thursdays and Fridays. Say "remind me to mark attendance at 6:00 PM" to move it to your new working days.');
+    assert.equal(api.calls.length, 2);
+  } finally {
+    api.restore();
+  }
+});
+
+test('weekly days off can be changed by voice, including turning Sunday into a working day', async () => {
+  const conversation = createConversation();
+  
+  let response = await conversation.send(intentRequest('ListDaysOffIntent'));
+  assert.equal(getSpeech(response), 'Your weekly days off are Sundays.');
+  
+  response = await conversation.send(intentRequest('AddDayOffIntent', { days: 'saturday' }));
+  assert.equal(getSpeech(response), 'Okay. Your weekly days off are Saturdays and Sundays.');
+  
+  response = await conversation.send(intentRequest('RemoveDayOffIntent', { days: 'sunday' }));
+  assert.equal(getSpeech(response), 'Okay. Your weekly days off are Saturdays.');
+  
+  const data = await getAttendanceDocument();
+  assert.deepEqual(data.weeklyDaysOff, [6]);
+  assert.equal(data.sundayOff, false);
+  
+  response = await conversation.send(intentRequest('MarkPresentIntent', { date: '2025-03-09' }));
+  assert.equal(getSpeech(response), 'Successfully marked as present for March 9, 2025.');
+  
+  response = await conversation.send(intentRequest('MarkPresentIntent', { date: '2025-03-08' }));
+  assert.match(getSpeech(response), /is a non-working day/);
+  
+  // Days off that weren't understood are asked for again rather than cleared
+  response = await conversation.send(intentRequest('SetDaysOffIntent', { days: 'someday' }));
+  assert.equal(getSpeech(response), 'Which day? For example, say "I don\'t have class on Saturdays".');
+  assert.deepEqual((await getAttendanceDocument()).weeklyDaysOff, [6]);
+  
+  response = await conversation.send(intentRequest('ClearDaysOffIntent'));
+  assert.equal(getSpeech(response), 'Okay. You don\'t have any weekly days off, so every day counts as a working day.');
+  assert.deepEqual((await getAttendanceDocument()).weeklyDaysOff, []);
+});
+
+test('each session keeps its own weekly days off and holidays', async () => {
+  await setAttendanceDocument({
+    records: {
+      '2025-01-06': true, '2025-01-07': true, '2025-01-08': true, '2025-01-09': true, '2025-01-10': true, '2025-01-11': false,
+      '2025-02-03': true, '2025-02-04': true, '2025-02-05': true, '2025-02-06': true, '2025-02-08': true
+    },
+    sessions: [
+      { name: 'Winter', code: 'winter1', startDate: '2025-01-06', endDate: '2025-01-11', isSelected: false },
+      { name: 'Spring', code: 'spring1', startDate: '2025-02-03', endDate: '2025-02-08', isSelected: true, weeklyDaysOff: [6], holidays: [] }
+    ]
+  });
+  const conversation = createConversation();
+  
+  // Changing the defaults freezes the old calendar onto an ended session without one of its own
+  let response = await conversation.send(intentRequest('AddDayOffIntent', { days: 'saturday' }));
+  assert.equal(getSpeech(response), 'Okay. Your weekly days off are Saturdays and Sundays.');
+  
+  response = await conversation.send(intentRequest('SessionAttendanceIntent'));
+  assert.match(getSpeech(response), /You have attended 4 out of 5 working days\./);
+  
+  response = await conversation.send(intentRequest('RemoveDayOffIntent', { days: 'saturday', sessionName: 'spring' }));
+  assert.equal(getSpeech(response), 'Okay. Your weekly days off in Spring are Sundays.');
+  
+  response = await conversation.send(intentRequest('MarkHolidayIntent', { date: '2025-02-07', holidayName: 'founders day' }));
+  assert.match(getSpeech(response), /February 7, 2025/);
+  
+  response = await conversation.send(intentRequest('SessionAttendanceIntent'));
+  assert.match(getSpeech(response), /You have attended 5 out of 5 working days\./);
+  
+  response = await conversation.send(intentRequest('SelectSessionIntent', { sessionName: 'winter' }));
+  response = await conversation.send(intentRequest('SessionAttendanceIntent'));
+  assert.match(getSpeech(response), /You have attended 5 out of 6 working days\./);
+  
+  response = await conversation.send(intentRequest('ListDaysOffIntent'));
+  assert.equal(getSpeech(response), 'Your weekly days off are Saturdays and Sundays.');
+  
+  const doc = await getAttendanceDocument();
+  const [winter, spring] = doc.sessions;
+  assert.deepEqual([winter.weeklyDaysOff, winter.sundayOff], [[], true]);
+  assert.deepEqual([spring.weeklyDaysOff, spring.sundayOff], [[], true]);
+  assert.equal(spring.holidays.length, 1);
+});
+
+test('days off and holidays for a loosely named session are confirmed first, and an ambiguous name is asked about', async () => {
+  await setAttendanceDocument({
+    sessions: [
+      { name: 'Sem 3 2025-26', code: 'sem32025ab12', startDate: '2025-08-01', endDate: '2025-12-19', isSelected: false },
+      { name: 'Sem 4 2025-26', code: 'sem42025cd34', startDate: '2026-01-05', endDate: '2026-05-29', isSelected: false }
+    ]
+  });
+  const conversation = createConversation();
+  
+  let response = await conversation.send(intentRequest('AddDayOffIntent', { days: 'saturday', sessionName: 'semester four twenty twenty five twenty six' }));
+  assert.equal(getSpeech(response), 'Did you mean Sem 4 2025-26?');
+  assert.equal((await getAttendanceDocument()).sessions[1].weeklyDaysOff, undefined);
+  
+  response = await conversation.send(intentRequest('AMAZON.YesIntent'));
+  assert.equal(getSpeech(response), 'Okay. Your weekly days off in Sem 4 2025-26 are Saturdays and Sundays.');
+  
+  response = await conversation.send(intentRequest('ListDaysOffIntent', { sessionName: 'sem 2025 26' }));
+  assert.equal(getSpeech(response), 'Did you mean Sem 3 2025-26, starting August 1, 2025, or Sem 4 2025-26, starting January 5, 2026?');
+  
+  response = await conversation.send(intentRequest('SelectSessionIntent', { sessionName: 'the second one' }));
+  assert.equal(getSpeech(response), 'Your weekly days off in Sem 4 2025-26 are Saturdays and Sundays.');
+  
+  response = await conversation.send(intentRequest('SessionHolidaysIntent', { sessionName: 'sem 2025 26' }));
+  assert.match(getSpeech(response), /^Did you mean Sem 3 2025-26/);
+  
+  response = await conversation.send(intentRequest('SelectSessionIntent', { sessionName: 'the first one' }));
+  assert.equal(getSpeech(response), 'Okay, Sem 3 2025-26 now keeps its own holidays.');
+  
+  const [sem3, sem4] = (await getAttendanceDocument()).sessions;
+  assert.deepEqual(sem3.holidays, []);
+  assert.equal(sem4.holidays, undefined);
+  assert.deepEqual(sem4.weeklyDaysOff, [6]);
+  assert.equal(sem3.isSelected || sem4.isSelected, false);
+});
+
+test('a session can be given its own holidays, starting with those already marked in its range', async () => {
+  await setAttendanceDocument({
+    holidays: [{ date: '2025-01-07', name: 'Winter fair' }, { date: '2025-02-04', name: 'Founders day' }],
+    sessions: [
+      { name: 'Winter', code: 'winter1', startDate: '2025-01-06', endDate: '2025-01-11', isSelected: false },
+      { name: 'Spring', code: 'spring1', startDate: '2025-02-03', endDate: '2025-02-08', isSelected: true }
+    ]
+  });
+  const conversation = createConversation();
+  
+  let response = await conversation.send(intentRequest('SessionHolidaysIntent', { sessionName: 'spring' }));
+  assert.equal(getSpeech(response), 'Okay, Spring now keeps its own holidays. I\'ve copied the holiday already marked in it.');
+  
+  response = await conversation.send(intentRequest('SessionHolidaysIntent'));
+  assert.equal(getSpeech(response), 'Spring already keeps its own holidays.');
+  
+  response = await conversation.send(intentRequest('MarkHolidayIntent', { date: '2025-02-06', holidayName: 'sports day' }));
+  assert.match(getSpeech(response), /February 6, 2025/);
+  
+  const [winter, spring] = (await getAttendanceDocument()).sessions;
+  assert.equal(winter.holidays, undefined);
+  assert.deepEqual(spring.holidays.map(h => h.date), ['2025-02-04', '2025-02-06']);
+});
+
+test('overlapping sessions with their own holidays keep different holiday sets', async () => {
+  await setAttendanceDocument({
+    holidays: [{ date: '2025-03-11', name: 'Old holiday' }],
+    sessions: [
+      { name: 'Year', code: 'year1', startDate: '2025-01-01', endDate: '2025-12-31', isSelected: false, holidays: [{ date: '2025-03-10', name: 'Year day' }] },
+      { name: 'Lab', code: 'lab1', startDate: '2025-03-01', endDate: '2025-03-31', isSelected: false, holidays: [] }
+    ]
+  });
+  const conversation = createConversation();
+  
+  // Lab started last, so its calendar applies in March
+  let response = await conversation.send(intentRequest('MarkHolidayIntent', { date: '2025-03-12', holidayName: 'lab closed' }));
+  assert.match(getSpeech(response), /March 12, 2025/);
+  response = await conversation.send(intentRequest('MarkHolidayIntent', { date: '2025-04-07', holidayName: 'spring day' }));
+  assert.match(getSpeech(response), /April 7, 2025/);
+  
+  response = await conversation.send(intentRequest('DayStatusIntent', { date: '2025-03-10' }));
+  assert.equal(getSpeech(response), 'March 10, 2025 is not marked yet.');
+  response = await conversation.send(intentRequest('DayStatusIntent', { date: '2025-03-11' }));
+  assert.equal(getSpeech(response), 'March 11, 2025 is not marked yet.');
+  
+  await conversation.send(intentRequest('SelectSessionIntent', { sessionName: 'Year' }));
+  response = await conversation.send(intentRequest('DayStatusIntent', { date: '2025-03-10' }));
+  assert.equal(getSpeech(response), 'March 10, 2025 is marked as a holiday: Year day.');
+  
+  const doc = await getAttendanceDocument();
+  const [year, lab] = doc.sessions;
+  assert.deepEqual(year.holidays.map(h => h.date), ['2025-03-10', '2025-04-07']);
+  assert.deepEqual(lab.holidays.map(h => h.date), ['2025-03-12']);
+  assert.deepEqual(doc.holidays, [{ date: '2025-03-11', name: 'Old holiday' }]);
+});
+
+test('calendar rules close nth weekdays and alternate weeks, and closures become breaks', async () => {
+  await setAttendanceDocument({
+    records: { '2025-03-03': true },
+    sessions: [{ name: 'Spring', code: 'spring1', startDate: '2025-03-01', endDate: '2025-03-31', isSelected: true }]
+  });
+  const conversation = createConversation();
+  
+  let response = await conversation.send(intentRequest('AddNthWeekdayClosureIntent', { weekday: 'saturday', weeks: 'fourth' }));
+  assert.equal(getSpeech(response), 'Okay, I\'ll treat the fourth Saturday of every month as a non-working day.');
+  
+  response = await conversation.send(intentRequest('AddAlternateWeekClosureIntent', { weekday: 'friday', startDate: '2025-03-05' }));
+  assert.equal(getSpeech(response), 'Okay, I\'ll treat every other Friday from March 7, 2025 as a non-working day.');
+  
+  response = await conversation.send(intentRequest('AddClosureIntent', { startDate: '2025-03-10', endDate: '2025-03-12', closureName: 'spring break' }));
+  assert.equal(getSpeech(response), 'Okay, I\'ve added Spring break, March 10, 2025 to March 12, 2025. Those days won\'t count as working days.');
+  
+  response = await conversation.send(intentRequest('MarkPresentIntent', { date: '2025-03-22' }));
+  assert.match(getSpeech(response), /^March 22, 2025 is a non-working day\./);
+  response = await conversation.send(intentRequest('MarkPresentIntent', { date: '2025-03-21' }));
+  assert.match(getSpeech(response), /^March 21, 2025 is a non-working day\./);
+  response = await conversation.send(intentRequest('MarkPresentIntent', { date: '2025-03-14' }));
+  assert.equal(getSpeech(response), 'Successfully marked as present for March 14, 2025.');
+  
+  // March 2025 has 26 days that aren't Sundays; the rules close Mar 22, Mar 7 and 21, and Mar 10-12
+  response = await conversation.send(intentRequest('GetAttendancePercentageIntent'));
+  assert.match(getSpeech(response), /You have attended 2 out of 20 working days\./);
+  
+  response = await conversation.send(intentRequest('ListCalendarRulesIntent'));
+  assert.equal(getSpeech(response), 'Your weekly days off are Sundays. You\'re also closed on the fourth Saturday of every month and every other Friday from March 7, 2025. Your breaks are Spring break, March 10, 2025 to March 12, 2025.');
+  
+  // Rules are removed one at a time, or one week of an nth-weekday rule
+  await conversation.send(intentRequest('AddNthWeekdayClosureIntent', { weekday: 'saturday', weeks: 'second' }));
+  response = await conversation.send(intentRequest('RemoveCalendarRuleIntent', { weekday: 'saturday', weeks: 'fourth' }));
+  assert.equal(getSpeech(response), 'Okay, the fourth Saturday of every month is a working day again.');
+  
+  response = await conversation.send(intentRequest('RemoveCalendarRuleIntent', { weekday: 'friday' }));
+  assert.equal(getSpeech(response), 'Okay, every other Friday from March 7, 2025 is a working day again.');
+  
+  response = await conversation.send(intentRequest('RemoveCalendarRuleIntent', { weekday: 'monday' }));
+  assert.equal(getSpeech(response), 'You don\'t have a closure rule for Mondays, so nothing has changed.');
+  
+  assert.deepEqual((await getAttendanceDocument()).calendarRules, [{ type: 'nthWeekday', weekday: 6, weeks: [2] }]);
+});
+
+test('breaks are excluded from working days, listed and deleted by name', async () => {
+  await setAttendanceDocument({
+    records: { '2025-10-06': true },
+    holidays: [{ date: '2025-10-02', name: 'Gandhi Jayanti' }],
+    sessions: [{ name: 'Autumn', code: 'autumn1', startDate: '2025-10-01', endDate: '2025-10-31', isSelected: true }]
+  });
+  const conversation = createConversation();
+  
+  let response = await conversation.send(intentRequest('AddBreakIntent', { breakName: 'diwali break', startDate: '2025-10-20', endDate: '2025-10-27' }));
+  assert.equal(getSpeech(response), 'Okay, I\'ve added Diwali break, October 20, 2025 to October 27, 2025. Those days won\'t count as working days.');
+  
+  response = await conversation.send(intentRequest('MarkAbsentIntent', { date: '2025-10-22' }));
+  assert.match(getSpeech(response), /^October 22, 2025 is during Diwali break\./);
+  
+  // October 2025 has 27 days that aren't Sundays; the break covers 7 of them and the holiday 1 more
+  response = await conversation.send(intentRequest('SessionAttendanceIntent', { sessionName: 'Autumn' }));
+  assert.match(getSpeech(response), /1 out of 19 working days/);
+  response = await conversation.send(intentRequest('MonthlyAttendanceIntent', { month: '2025-10' }));
+  assert.match(getSpeech(response), /is 5 percent\. 18 working days are still unmarked/);
+  
+  response = await conversation.send(intentRequest('ListBreaksIntent'));
+  assert.equal(getSpeech(response), 'You have 1 break: Diwali break, October 20, 2025 to October 27, 2025.');
+  
+  // Breaks are exported on their own, leaving the attendance CSV columns as they were
+  let exported = await apiRequest('GET', '/api/breaks?format=csv');
+  assert.match(exported.body, /^id,name,startDate,endDate\n[^,]+,Diwali break,2025-10-20,2025-10-27\n$/);
+  exported = await apiRequest('GET', '/api/attendance?format=csv&from=2025-10-01&to=2025-10-31');
+  assert.equal(exported.body, 'date,status,name,subject\n2025-10-02,holiday,Gandhi Jayanti,\n2025-10-06,present,,\n');
+  
+  response = await conversation.send(intentRequest('DeleteBreakIntent', { breakName: 'winter break' }));
+  assert.match(getSpeech(response), /^I couldn't find a break called winter break\./);
+  
+  response = await conversation.send(intentRequest('DeleteBreakIntent', { breakName: 'Diwali Break' }));
+  assert.equal(getSpeech(response), 'Okay, I\'ve deleted Diwali break, October 20, 2025 to October 27, 2025. Those days are working days again.');
+  
+  const doc = await getAttendanceDocument();
+  assert.deepEqual(doc.breaks, []);
+  assert.deepEqual(doc.holidays, [{ date: '2025-10-02', name: 'Gandhi Jayanti' }]);
+});
+
+test('without a preset the session covering today is used, and launch warns when the preset has ended', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now: new Date('2025-09-15T10:00:00Z') });
+  await setAttendanceDocument({
+    sessions: [
+      { name: 'Winter', code: 'winter1', startDate: '2025-01-06', endDate: '2025-01-11', isSelected: true },
+      { name: 'Current', code: 'current1', startDate: '2025-06-01', isSelected: false }
+    ]
+  });
+  const conversation = createConversation();
+  
+  let response = await conversation.send(launchRequest());
+  assert.equal(getSpeech(response), 'Welcome to Attendance Tracker! Your Alexa preset session, Winter, ended on January 11, 2025. Current covers today. Say "use session Current" to switch to it, or "clear my Alexa preset" so I always pick the session that covers today. What would you like to do?');
+  
+  // An explicit preset still wins over the session covering today
+  response = await conversation.send(intentRequest('SessionAttendanceIntent'));
+  assert.match(getSpeech(response), /^Your session attendance for Winter/);
+  
+  response = await conversation.send(intentRequest('ClearAlexaPresetIntent'));
+  response = await conversation.send(intentRequest('SessionAttendanceIntent'));
+  assert.match(getSpeech(response), /^Your session attendance for Current/);
+  
+  response = await conversation.send(launchRequest());
+  assert.match(getSpeech(response), /^Welcome to Attendance Tracker! You can mark your attendance/);
+});
+
+test('overlapping sessions without a preset use the calendar of the one that started last', async () => {
+  await setAttendanceDocument({
+    sessions: [
+      { name: 'Year', code: 'year1', startDate: '2025-01-01', endDate: '2025-12-31', isSelected: false },
+      { name: 'Summer', code: 'summer1', startDate: '2025-06-01', endDate: '2025-08-31', isSelected: false, weeklyDaysOff: [6] }
+    ]
+  });
+  const conversation = createConversation();
+  
+  let response = await conversation.send(intentRequest('MarkPresentIntent', { date: '2025-06-07' }));
+  assert.match(getSpeech(response), /^June 7, 2025 is a non-working day\./);
+  
+  response = await conversation.send(intentRequest('MarkPresentIntent', { date: '2025-05-31' }));
+  assert.equal(getSpeech(response), 'Successfully marked as present for May 31, 2025.');
+});
+
+test('API routes only accept tokens signed with the local auth secret', async () => {
+  await setAttendanceDocument({ records: { '2025-03-03': true } });
+  
+  let response = await apiRequest('GET', '/api/attendance', { token: USER_ID });
+  assert.equal(response.status, 401);
+  
+  response = await apiRequest('GET', '/api/attendance', { token: `${USER_ID}.${'0'.repeat(64)}` });
+  assert.equal(response.status, 401);
+  
+  response = await apiRequest('GET', '/api/attendance', { token: app.createLocalAuthToken(USER_ID) });
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.records, { '2025-03-03': true });
+});
+
+test('attendance export rejects reversed and oversized ranges and caps the summary', async () => {
+  await setAttendanceDocument({ records: { '1990-01-02': true, '2025-03-03': true, '2025-03-04': false } });
+  
+  let response = await apiRequest('GET', '/api/attendance?from=2025-03-10&to=2025-03-01');
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'Bad Request - from must not be after to');
+  
+  response = await apiRequest('GET', '/api/attendance?from=0001-01-01');
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'Bad Request - the range can cover at most 3660 days');
+  
+  response = await apiRequest('GET', '/api/attendance?from=2025-03-01&to=2025-03-09');
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.records, { '2025-03-03': true, '2025-03-04': false });
+  assert.deepEqual(response.body.summary.range, { from: '2025-03-01', to: '2025-03-09' });
+  assert.equal(response.body.summary.totalWorkingDays, 7);
+  
+  // Without a range the summary starts at the oldest record, but no more than 3660 days back
+  response = await apiRequest('GET', '/api/attendance');
+  assert.equal(response.status, 200);
+  const { from, to } = response.body.summary.range;
+  assert.ok(from > '1990-01-02');
+  assert.equal((new Date(to) - new Date(from)) / 86400000, 3659);
+  
+  response = await apiRequest('GET', '/api/attendance?format=csv&from=2025-03-01&to=2025-03-09');
+  assert.equal(response.status, 200);
+  assert.match(response.body.split('\n')[1], /^2025-03-03,present,/);
+});
+
+test('iCalendar import expands bounded events into holidays and rejects recurring or endless ones', async () => {
+  const ics = [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT', 'SUMMARY:Spring break', 'DTSTART;VALUE=DATE:20250310', 'DTEND;VALUE=DATE:20250313', 'END:VEVENT',
+    'BEGIN:VEVENT', 'SUMMARY:Sports day', 'DTSTART:20250314T090000', 'DTEND:20250314T170000', 'END:VEVENT',
+    'BEGIN:VEVENT', 'SUMMARY:Assembly', 'DTSTART;VALUE=DATE:20250317', 'RRULE:FREQ=WEEKLY', 'END:VEVENT',
+    'BEGIN:VEVENT', 'SUMMARY:Forever', 'DTSTART;VALUE=DATE:20250401', 'DTEND;VALUE=DATE:99991231', 'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\r\n');
+  
+  const response = await apiRequest('POST', '/api/import', { body: ics, contentType: 'text/calendar' });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.applied, 4);
+  assert.equal(response.body.invalid, 2);
+  assert.deepEqual(response.body.rows.filter(r => r.result === 'invalid').map(r => r.reason), [
+    'Recurring events are not supported',
+    'Events can cover at most 366 days'
+  ]);
+  
+  const doc = await getAttendanceDocument();
+  assert.deepEqual(doc.holidays.map(h => `${h.date} ${h.name}`), [
+    '2025-03-10 Spring break',
+    '2025-03-11 Spring break',
+    '2025-03-12 Spring break',
+    '2025-03-14 Sports day'
+  ]);
+});
+
+test('CSV import applies new days and reports conflicts without overwriting', async () => {
+  await setAttendanceDocument({ records: { '2025-03-03': true } });
+  const csv = 'date,status,name\n2025-03-03,absent,\n2025-03-04,present,\n2025-03-05,holiday,Holi\n2025-03-09,present,\n2025-03-06,late,\n';
+  
+  const response = await apiRequest('POST', '/api/import', { body: csv, contentType: 'text/csv' });
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.rows.map(r => r.result), ['conflict', 'applied', 'applied', 'skipped', 'invalid']);
+  
+  const doc = await getAttendanceDocument();
+  assert.deepEqual(doc.records, { '2025-03-03': true, '2025-03-04': true });
+  assert.deepEqual(doc.holidays, [{ date: '2025-03-05', name: 'Holi' }]);
+  
+  const tooLarge = await apiRequest('POST', '/api/import', { body: `date,status,name\n${'2025-03-10,present,\n'.repeat(60000)}`, contentType: 'text/csv' });
+  assert.equal(tooLarge.status, 413);
+  assert.equal(tooLarge.body.error, 'request entity too large');
+});
+
+test('the attendance planner reports days that can be missed or must be attended', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now: new Date('2025-03-05T10:00:00Z') });
+  await setAttendanceDocument({
+    records: { '2025-03-03': true, '2025-03-04': true, '2025-03-05': true },
+    sessions: [{ name: 'Spring', code: 'spring1', startDate: '2025-03-03', endDate: '2025-03-15', isSelected: true }]
+  });
+  const conversation = createConversation();
+  
+  // 12 working days in all, 3 of them past: 9 of 12 keeps 75 percent, so 3 of the 9 left can be missed
+  let response = await conversation.send(intentRequest('AttendancePlanIntent'));
+  assert.equal(getSpeech(response), 'Your attendance for Spring is 100 percent and your target is 75 percent. With 9 working days left, you can miss 3 more days and stay at or above your target.');
+  
+  await conversation.send(intentRequest('MarkAbsentIntent', { date: '2025-03-03' }));
+  await conversation.send(intentRequest('AMAZON.YesIntent'));
+  await conversation.send(intentRequest('MarkAbsentIntent', { date: '2025-03-04' }));
+  await conversation.send(intentRequest('AMAZON.YesIntent'));
+  
+  response = await conversation.send(intentRequest('AttendancePlanIntent'));
+  assert.equal(getSpeech(response), 'Your attendance for Spring is 33 percent and your target is 75 percent. You need to attend the next 5 days in a row to get back to your target.');
+  
+  response = await conversation.send(intentRequest('SetAttendanceTargetIntent', { percentage: '100' }));
+  assert.equal(getSpeech(response), 'Okay, your attendance target for Spring is now 100 percent.');
+  
+  response = await conversation.send(intentRequest('AttendancePlanIntent'));
+  assert.equal(getSpeech(response), 'Your attendance for Spring is 33 percent and your target is 100 percent. There are only 9 working days left, so even if you attend all of them you will reach 83 percent.');
+});